@@ -0,0 +1,155 @@
+// Relay for live sessions between machines: every message a client sends is forwarded to the other
+// clients connected to the same room (the URL path, e.g. ws://localhost:1234/<room>). Messages are
+// opaque Yjs updates and presence, nothing is stored. No dependencies, Node 18+.
+//
+//   node collab-relay.js [port]
+//
+// Then enter ws://<host>:<port> as the relay in the editor's settings before starting a session.
+const http = require('http');
+const crypto = require('crypto');
+
+const PORT = Number(process.argv[2] || process.env.PORT || 1234);
+const WEBSOCKET_GUID = '258EAFA5-E914-47DA-95CA-C5AB0DC85B11';
+const MAX_MESSAGE_SIZE = 16 * 1024 * 1024; // Projects with uploaded assets can be large
+const PING_INTERVAL = 30000;
+const OPCODES = { continuation: 0, text: 1, binary: 2, close: 8, ping: 9, pong: 10 };
+const rooms = new Map(); // room -> Set of sockets
+
+function encodeFrame(opcode, payload = Buffer.alloc(0)) {
+    let header;
+    if (payload.length < 126) {
+        header = Buffer.from([0x80 | opcode, payload.length]);
+    } else if (payload.length < 65536) {
+        header = Buffer.alloc(4);
+        header.writeUInt16BE(payload.length, 2);
+        header[1] = 126;
+    } else {
+        header = Buffer.alloc(10);
+        header.writeBigUInt64BE(BigInt(payload.length), 2);
+        header[1] = 127;
+    }
+    header[0] = 0x80 | opcode;
+    return Buffer.concat([header, payload]);
+}
+
+// Complete frames at the start of `buffer`, and what is left of it
+function decodeFrames(buffer) {
+    const frames = [];
+    let offset = 0;
+    while (buffer.length - offset >= 2) {
+        const fin = (buffer[offset] & 0x80) !== 0;
+        const opcode = buffer[offset] & 0x0f;
+        const masked = (buffer[offset + 1] & 0x80) !== 0;
+        let length = buffer[offset + 1] & 0x7f;
+        let headerLength = 2;
+        if (length === 126) {
+            if (buffer.length - offset < 4) break;
+            length = buffer.readUInt16BE(offset + 2);
+            headerLength = 4;
+        } else if (length === 127) {
+            if (buffer.length - offset < 10) break;
+            length = Number(buffer.readBigUInt64BE(offset + 2));
+            headerLength = 10;
+        }
+        if (!masked) throw new Error('Client frames must be masked');
+        if (length > MAX_MESSAGE_SIZE) throw new Error('Message too large');
+
+        const maskOffset = offset + headerLength;
+        const dataOffset = maskOffset + 4;
+        if (buffer.length < dataOffset + length) break;
+        const payload = Buffer.from(buffer.subarray(dataOffset, dataOffset + length));
+        for (let i = 0; i < payload.length; i++) payload[i] ^= buffer[maskOffset + (i % 4)];
+        frames.push({ fin, opcode, payload });
+        offset = dataOffset + length;
+    }
+    return { frames, rest: buffer.subarray(offset) };
+}
+
+function broadcast(room, sender, message) {
+    const frame = encodeFrame(OPCODES.binary, message);
+    rooms.get(room)?.forEach(socket => {
+        if (socket !== sender && socket.writable) socket.write(frame);
+    });
+}
+
+function leave(room, socket) {
+    const clients = rooms.get(room);
+    if (!clients?.delete(socket)) return;
+    if (clients.size === 0) rooms.delete(room);
+    console.log(`${room}: ${clients.size} client(s)`);
+}
+
+function handleConnection(socket, room) {
+    if (!rooms.has(room)) rooms.set(room, new Set());
+    rooms.get(room).add(socket);
+    console.log(`${room}: ${rooms.get(room).size} client(s)`);
+
+    let buffer = Buffer.alloc(0);
+    let fragments = []; // Payloads of a message split over several frames
+    let alive = true;
+    const ping = setInterval(() => {
+        if (!alive) return socket.destroy();
+        alive = false;
+        socket.write(encodeFrame(OPCODES.ping));
+    }, PING_INTERVAL);
+
+    socket.on('data', (chunk) => {
+        let frames;
+        try {
+            ({ frames, rest: buffer } = decodeFrames(Buffer.concat([buffer, chunk])));
+        } catch (e) {
+            console.error(`${room}: ${e.message}`);
+            return socket.destroy();
+        }
+        frames.forEach(({ fin, opcode, payload }) => {
+            if (opcode === OPCODES.close) {
+                socket.end(encodeFrame(OPCODES.close));
+            } else if (opcode === OPCODES.ping) {
+                socket.write(encodeFrame(OPCODES.pong, payload));
+            } else if (opcode === OPCODES.pong) {
+                alive = true;
+            } else {
+                fragments.push(payload);
+                if (!fin) return;
+                broadcast(room, socket, Buffer.concat(fragments));
+                fragments = [];
+            }
+        });
+    });
+    socket.on('close', () => {
+        clearInterval(ping);
+        leave(room, socket);
+    });
+    socket.on('error', () => socket.destroy());
+}
+
+const server = http.createServer((req, res) => {
+    res.writeHead(426, { 'Content-Type': 'text/plain' });
+    res.end('Live session relay: connect with a WebSocket\n');
+});
+
+server.on('upgrade', (req, socket) => {
+    const key = req.headers['sec-websocket-key'];
+    let room = '';
+    try {
+        room = decodeURIComponent(new URL(req.url, 'http://relay').pathname.slice(1));
+    } catch (e) {
+        // Malformed path, rejected below
+    }
+    if (req.headers.upgrade?.toLowerCase() !== 'websocket' || !key || !room) {
+        return socket.end('HTTP/1.1 400 Bad Request\r\n\r\n');
+    }
+
+    const accept = crypto.createHash('sha1').update(key + WEBSOCKET_GUID).digest('base64');
+    socket.write([
+        'HTTP/1.1 101 Switching Protocols',
+        'Upgrade: websocket',
+        'Connection: Upgrade',
+        `Sec-WebSocket-Accept: ${accept}`,
+        '', ''
+    ].join('\r\n'));
+    socket.setNoDelay(true);
+    handleConnection(socket, room);
+});
+
+server.listen(PORT, () => console.log(`Live session relay listening on ws://localhost:${PORT}`));
@@ -9,43 +9,68 @@ const DEFAULT_PROJECT = {
 };
 
 let files = {};
+let folders = []; // Explicit folder paths, so empty folders survive
+let collapsedFolders = new Set();
 let activeFile = 'index.html';
 let editor = null;
 const defaultSettings = {
     theme: 'vs-dark',
-    cdns: [],
+    dependencies: [],
     wordWrap: false,
     minimap: true,
-    fontSize: 14
+    fontSize: 14,
+    entry: 'script.js',
+    autoRun: 'delay', // 'delay' | 'save' | 'off'
+    autoRunDelay: 1000,
+    viewport: { device: 'responsive', width: 375, height: 667, landscape: false, zoom: 'fit' },
+    lint: { enabled: true, rules: {}, globals: [] },
+    keybindings: {}, // User overrides, see KEYBINDINGS
+    collabName: '',
+    collabRelay: '' // Live sessions use BroadcastChannel (tabs of this browser) when empty
 };
 let appSettings = { ...defaultSettings, ...(JSON.parse(localStorage.getItem('vscode-clone-settings')) || {}) };
 
 // --- STARTUP LOGIC ---
 async function init() {
-    // 1. Check URL for shared project
-    if (window.location.hash.length > 5) {
+    const hash = window.location.hash.substring(1);
+    if (hash.startsWith(EMBED_HASH_PREFIX)) return initEmbed(hash.slice(EMBED_HASH_PREFIX.length));
+
+    try {
+        await loadProjectIndex();
+    } catch (e) {
+        console.error(e);
+        return toast("Could not open project storage", "error");
+    }
+    let projectId = getProjectMeta(projectIndex.activeId) ? projectIndex.activeId : projectIndex.projects[0].id;
+
+    // 1. Check URL for shared project (imported as a new project, never over the current one)
+    const collabInvite = hash.startsWith(COLLAB_HASH_PREFIX);
+    if (hash && !collabInvite) {
         try {
-            const compressed = window.location.hash.substring(1);
-            const decompressed = LZString.decompressFromEncodedURIComponent(compressed);
-            if (decompressed) {
-                files = JSON.parse(decompressed);
-                toast("Project loaded from URL");
-            } else {
-                throw new Error("Invalid URL");
-            }
+            projectId = await createProject('Shared Project', decodeSharePayload(hash));
+            toast("Project loaded from URL");
         } catch (e) {
             console.error(e);
-            toast("Failed to load shared project", "error");
-            files = loadLocal();
+            toast(`Failed to load shared project: ${e.message}`, "error");
         }
-    } else {
-        files = loadLocal();
+        // Reloading must not import the same link again
+        history.replaceState(null, '', window.location.pathname + window.location.search);
     }
+    await openProject(projectId);
+    navigator.storage?.persist?.(); // Ask the browser not to evict project data
+    registerServiceWorker();
+    updateStorageStatus();
+    await initWorkspace();
+    if (collabInvite) joinCollaboration(hash);
+}
 
+async function initWorkspace() {
     // 2. Initialize UI
     renderExplorer();
-    renderTabs();
+    renderKeybindingHints();
+    renderEditorGroups();
     initSplitPane();
+    initDevicePreview();
     
     // 3. Initialize Monaco
     await initMonaco();
@@ -54,100 +79,475 @@ async function init() {
     updatePreview();
     
     // 5. Restore Settings
-    document.getElementById('cdn-input').value = appSettings.cdns.join('\n');
+    restoreSettingsInputs();
+}
+
+function restoreSettingsInputs() {
+    document.getElementById('entry-input').value = appSettings.entry;
     document.getElementById('theme-select').value = appSettings.theme;
+    document.getElementById('autorun-select').value = appSettings.autoRun;
+    document.getElementById('autorun-delay').value = appSettings.autoRunDelay;
+    document.getElementById('lint-enabled').checked = appSettings.lint.enabled;
+    document.getElementById('lint-rules-input').value = Object.keys(appSettings.lint.rules).length ? JSON.stringify(appSettings.lint.rules, null, 2) : '';
+    document.getElementById('lint-globals-input').value = appSettings.lint.globals.join(', ');
+    document.getElementById('collab-name-input').value = appSettings.collabName;
+    document.getElementById('collab-relay-input').value = appSettings.collabRelay;
+    renderDependencies();
     updateStatusBar();
 }
 
-function loadLocal() {
-    const saved = localStorage.getItem('vscode-clone-project');
-    return saved ? JSON.parse(saved) : JSON.parse(JSON.stringify(DEFAULT_PROJECT));
+// --- PROJECTS ---
+// Every project keeps its own files, folders and the settings listed here;
+// editor preferences (theme, font, wrap...) stay global
+const PROJECT_SETTING_KEYS = ['dependencies', 'entry', 'lint'];
+let projectIndex = { activeId: null, projects: [] };
+let currentProjectId = null;
+
+function generateProjectId() {
+    return Date.now().toString(36) + Math.random().toString(36).slice(2, 6);
+}
+
+async function loadProjectIndex() {
+    await migrateLocalStorage();
+    const [projects, activeId] = await withStores(['projects', 'meta'], 'readonly', (projectStore, metaStore) => [
+        projectStore.getAll(),
+        metaStore.get('activeProject')
+    ]);
+    projectIndex = { activeId, projects: projects.map(toProjectMeta) };
+
+    if (projectIndex.projects.length === 0) {
+        projectIndex.activeId = await createProject('Untitled', {
+            files: JSON.parse(JSON.stringify(DEFAULT_PROJECT)),
+            folders: [],
+            settings: pickProjectSettings(appSettings)
+        });
+    }
+}
+
+// The in-memory index only keeps what the project list needs
+function toProjectMeta({ id, name, createdAt, updatedAt }) {
+    return { id, name, createdAt, updatedAt };
+}
+
+function pickProjectSettings(settings) {
+    const picked = {};
+    PROJECT_SETTING_KEYS.forEach(key => picked[key] = settings[key] ?? defaultSettings[key]);
+    // Copied, the list is edited in place
+    picked.dependencies = (settings.dependencies || migrateCdns(settings.cdns)).map(dep => ({ ...dep }));
+    return picked;
+}
+
+function getProjectMeta(id) {
+    return projectIndex.projects.find(p => p.id === id);
+}
+
+async function readProject(id) {
+    const [record, records] = await withStores(['projects', 'files'], 'readonly', (projectStore, fileStore) => [
+        projectStore.get(id),
+        fileStore.index('projectId').getAll(id)
+    ]);
+    if (!record) return null;
+
+    const projectFiles = {};
+    records.forEach(({ projectId, ...file }) => projectFiles[file.name] = file);
+    return { files: projectFiles, folders: record.folders || [], settings: record.settings || {}, tabs: record.tabs };
+}
+
+async function createProject(name, data) {
+    const id = generateProjectId();
+    const now = Date.now();
+    const meta = { id, name, createdAt: now, updatedAt: now };
+    await withStores(['projects', 'files'], 'readwrite', (projectStore, fileStore) => {
+        projectStore.put({ ...meta, folders: data.folders || [], settings: data.settings || {} });
+        Object.values(data.files).forEach(file => fileStore.put({ ...file, projectId: id }));
+    });
+    projectIndex.projects.push(meta);
+    return id;
+}
+
+async function updateProjectRecord(id, changes) {
+    await withStores(['projects'], 'readwrite', (projectStore) => {
+        const request = projectStore.get(id);
+        request.onsuccess = () => projectStore.put({ ...request.result, ...changes });
+    });
+}
+
+// Loads a project into the working state (files, folders, project settings)
+async function openProject(id) {
+    const data = await readProject(id) || { files: JSON.parse(JSON.stringify(DEFAULT_PROJECT)), folders: [], settings: {} };
+    currentProjectId = id;
+    projectIndex.activeId = id;
+    withStores(['meta'], 'readwrite', metaStore => metaStore.put(id, 'activeProject'));
+
+    files = data.files;
+    folders = data.folders;
+    collapsedFolders = new Set();
+    Object.assign(appSettings, pickProjectSettings(data.settings));
+    restoreTabState(data.tabs);
+    rememberSavedState();
+    lastSnapshotSignature = null;
+    document.getElementById('project-name').innerText = getProjectMeta(id)?.name || 'Untitled';
+}
+
+async function switchProject(id) {
+    closeModals();
+    if (id === currentProjectId) return;
+    if (collab && collab.projectId !== id) leaveCollaboration(); // Sessions are tied to a project
+
+    await flushProject();
+    await takeSnapshot();
+    await openProject(id);
+    disposeAllModels(); // Same paths in another project must not share undo history
+    applyCssLintOptions();
+    clearConsole();
+    restoreSettingsInputs();
+    renderEditorGroups();
+    refreshEditorGroups();
+    updatePreview();
+}
+
+async function newProject() {
+    const name = prompt("Project name:", "Untitled");
+    if (!name) return;
+    switchProject(await createProject(name.trim(), {
+        files: JSON.parse(JSON.stringify(DEFAULT_PROJECT)),
+        folders: [],
+        settings: pickProjectSettings(defaultSettings)
+    }));
+}
+
+async function renameProject(id) {
+    const meta = getProjectMeta(id);
+    const name = prompt("Rename project to:", meta.name);
+    if (!name || name === meta.name) return;
+    meta.name = name.trim();
+    await updateProjectRecord(id, { name: meta.name });
+    if (id === currentProjectId) document.getElementById('project-name').innerText = meta.name;
+    renderProjectList();
+}
+
+async function duplicateProject(id) {
+    if (id === currentProjectId) await flushProject();
+    await createProject(`${getProjectMeta(id).name} (copy)`, await readProject(id));
+    renderProjectList();
+}
+
+async function deleteProject(id) {
+    if (projectIndex.projects.length <= 1) return toast("Cannot delete the last project", "error");
+    if (!confirm(`Delete project "${getProjectMeta(id).name}"? This cannot be undone.`)) return;
+
+    if (id === currentProjectId) {
+        // Don't let a pending save resurrect the deleted project
+        clearTimeout(saveTimer);
+        currentProjectId = null;
+    }
+    await withStores(['projects', 'files', 'snapshots'], 'readwrite', (projectStore, fileStore, snapshotStore) => {
+        projectStore.delete(id);
+        fileStore.delete(IDBKeyRange.bound([id], [id, []]));
+        deleteProjectSnapshots(snapshotStore, id);
+    });
+    projectIndex.projects = projectIndex.projects.filter(p => p.id !== id);
+    if (!currentProjectId) await switchProject(projectIndex.projects[0].id);
+    renderProjectList();
+    updateStorageStatus();
+}
+
+function openProjectsModal() {
+    renderProjectList();
+    document.getElementById('projects-modal').classList.remove('hidden');
+}
+
+function renderProjectList() {
+    const list = document.getElementById('project-list');
+    list.innerHTML = '';
+
+    [...projectIndex.projects].sort((a, b) => b.updatedAt - a.updatedAt).forEach(project => {
+        const div = document.createElement('div');
+        div.className = `file-item ${project.id === currentProjectId ? 'active' : ''} group justify-between rounded`;
+        div.onclick = () => switchProject(project.id);
+        div.innerHTML = `
+            <div class="flex items-center min-w-0">
+                <i data-lucide="folder-git-2" class="w-4 h-4 text-[#dcb67a] mr-2 shrink-0"></i>
+                <div class="min-w-0">
+                    <div class="truncate">${escapeHtml(project.name)}</div>
+                    <div class="text-[10px] text-gray-500">Edited ${new Date(project.updatedAt).toLocaleString()}</div>
+                </div>
+            </div>
+            <div class="flex items-center opacity-0 group-hover:opacity-100">
+                <button onclick="event.stopPropagation(); duplicateProject(${handlerArg(project.id)})" class="hover:text-blue-400 p-1" title="Duplicate">
+                    <i data-lucide="copy" class="w-3 h-3"></i>
+                </button>
+                <button onclick="event.stopPropagation(); renameProject(${handlerArg(project.id)})" class="hover:text-yellow-400 p-1" title="Rename">
+                    <i data-lucide="edit-3" class="w-3 h-3"></i>
+                </button>
+                <button onclick="event.stopPropagation(); deleteProject(${handlerArg(project.id)})" class="hover:text-red-400 p-1" title="Delete">
+                    <i data-lucide="trash-2" class="w-3 h-3"></i>
+                </button>
+            </div>
+        `;
+        list.appendChild(div);
+    });
+    lucide.createIcons();
 }
 
 // --- MONACO EDITOR ---
+const MONACO_LOAD_TIMEOUT = 30000;
+
+// Resolves once the editor is up, or after showing why it could not load
+// (the preview and the project keep working either way)
 async function initMonaco() {
     return new Promise(resolve => {
+        if (typeof require === 'undefined') {
+            showEditorLoadError();
+            return resolve();
+        }
+        const timeout = setTimeout(() => {
+            showEditorLoadError();
+            resolve();
+        }, MONACO_LOAD_TIMEOUT);
+
         require.config({ paths: { 'vs': 'https://cdnjs.cloudflare.com/ajax/libs/monaco-editor/0.45.0/min/vs' }});
         require(['vs/editor/editor.main'], function () {
+            clearTimeout(timeout);
             document.getElementById('editor-loading').style.display = 'none';
-            
-            editor = monaco.editor.create(document.getElementById('monaco-editor-container'), {
-                value: files[activeFile].content,
-                language: files[activeFile].language,
-                theme: appSettings.theme,
-                automaticLayout: true,
-                minimap: { enabled: appSettings.minimap },
-                wordWrap: appSettings.wordWrap ? 'on' : 'off',
-                fontSize: appSettings.fontSize,
-                fontFamily: '"Fira Code", "Menlo", "Monaco", monospace',
-                fontLigatures: true,
-                padding: { top: 16 }
-            });
 
-            // Events
-            editor.onDidChangeModelContent(() => {
-                files[activeFile].content = editor.getValue();
-                saveProject();
-                debouncedUpdatePreview();
-            });
+            // Let the TS worker understand JSX and modules in .jsx/.ts/.tsx files
+            const compilerOptions = {
+                target: monaco.languages.typescript.ScriptTarget.ESNext,
+                module: monaco.languages.typescript.ModuleKind.ESNext,
+                jsx: monaco.languages.typescript.JsxEmit.React,
+                allowJs: true,
+                allowNonTsExtensions: true
+            };
+            monaco.languages.typescript.javascriptDefaults.setCompilerOptions(compilerOptions);
+            monaco.languages.typescript.typescriptDefaults.setCompilerOptions(compilerOptions);
+            initLinting();
             
-            editor.onDidChangeCursorPosition((e) => {
-                document.getElementById('cursor-position').innerText = `Ln ${e.position.lineNumber}, Col ${e.position.column}`;
-            });
-
-            // Add Command: Ctrl+S
-            editor.addCommand(monaco.KeyMod.CtrlCmd | monaco.KeyCode.KeyS, () => {
-                saveProject();
-                toast("Saved successfully");
-            });
-
+            renderEditorGroups();
+            registerEditorOpener();
+            refreshEditorGroups();
+            if (activeFile) switchFile(activeFile);
+            resolve();
+        }, (e) => {
+            console.error(e);
+            clearTimeout(timeout);
+            showEditorLoadError();
             resolve();
         });
     });
 }
 
+function showEditorLoadError() {
+    const overlay = document.getElementById('editor-loading');
+    overlay.classList.add('flex-col', 'text-center', 'px-6');
+    overlay.innerHTML = `
+        <i data-lucide="wifi-off" class="w-8 h-8 mb-3 text-red-400"></i>
+        <div class="text-gray-300 font-semibold mb-1">The editor could not be loaded</div>
+        <div class="text-xs mb-4 max-w-xs">${navigator.onLine ? 'The code editor did not download. Your projects are safe, try again in a moment.' : 'You are offline and the code editor has not been saved for offline use yet. Connect once to make it available offline.'}</div>
+        <button onclick="location.reload()" class="px-3 py-1 rounded bg-[#007acc] hover:bg-[#005fa3] text-white text-xs">Retry</button>
+    `;
+    lucide.createIcons();
+}
+
+// --- MODELS ---
+// Every text file gets its own ITextModel (undo stack, markers) and, per editor group,
+// a view state (cursor, scroll, folding), so switching files no longer resets the editor.
+const models = {};
+let syncingModels = false;
+let extraLibTimer;
+let extraLibSignature = '';
+
+function getModelName(model) {
+    return model.uri.path.slice(1);
+}
+
+function createFileModel(file) {
+    const model = monaco.editor.createModel(file.content, file.language, monaco.Uri.file(file.name));
+    model.onDidChangeContent((e) => {
+        if (syncingModels || !files[file.name]) return;
+        files[file.name].content = model.getValue();
+        if (!applyingRemoteChanges) {
+            editorGroups.filter(group => group.previewTab === file.name).forEach(group => pinTab(file.name, group));
+            sendLocalEdit(file.name, e.changes);
+        }
+        saveProject();
+        refreshDirtyMarkers();
+        schedulePreviewRun(file.name);
+        scheduleExtraLibSync();
+        scheduleLint(file.name);
+        if (isSearchViewOpen()) scheduleSearch();
+    });
+    models[file.name] = model;
+    scheduleLint(file.name);
+    return model;
+}
+
+function disposeModel(name) {
+    models[name]?.dispose();
+    delete models[name];
+    editorGroups.forEach(group => delete group.viewStates[name]);
+}
+
+function disposeAllModels() {
+    Object.keys(models).forEach(disposeModel);
+}
+
+// Model URIs can't change: a renamed file gets a fresh model, keeping its view state
+function renameModel(from, to) {
+    if (!models[from]) return;
+    const saved = editorGroups.map(group => group.editor?.getModel() === models[from] ? group.editor.saveViewState() : group.viewStates[from]);
+    disposeModel(from);
+    editorGroups.forEach((group, i) => { if (saved[i]) group.viewStates[to] = saved[i]; });
+}
+
+// Reconciles models with `files` after anything changed files behind the editor's back
+// (restore, import, delete...). Content updates are pushed as edits, so they can be undone.
+function syncModels() {
+    if (!window.monaco) return;
+    syncingModels = true;
+    Object.keys(models).forEach(name => {
+        if (!files[name] || files[name].binary) disposeModel(name);
+    });
+    Object.values(files).filter(f => !f.binary).forEach(file => {
+        const model = models[file.name];
+        if (!model) {
+            createFileModel(file);
+            return;
+        }
+        if (model.getValue() !== file.content) {
+            model.pushEditOperations([], [{ range: model.getFullModelRange(), text: file.content }], () => null);
+            scheduleLint(file.name);
+        }
+        if (model.getLanguageId() !== file.language) monaco.editor.setModelLanguage(model, file.language);
+    });
+    syncingModels = false;
+    scheduleExtraLibSync();
+}
+
+// Build and runtime errors of the last preview run, shown as markers until the next run
+let previewMarkers = {};
+
+function setPreviewMarker({ name, line, column }, message) {
+    const model = models[name];
+    if (!model || line > model.getLineCount()) return;
+    (previewMarkers[name] = previewMarkers[name] || []).push({
+        severity: monaco.MarkerSeverity.Error,
+        message,
+        startLineNumber: line,
+        startColumn: column || model.getLineFirstNonWhitespaceColumn(line),
+        endLineNumber: line,
+        endColumn: model.getLineMaxColumn(line)
+    });
+    monaco.editor.setModelMarkers(model, 'preview', previewMarkers[name]);
+}
+
+function clearPreviewMarkers(filter = () => true) {
+    Object.keys(previewMarkers).filter(filter).forEach(name => {
+        if (models[name]) monaco.editor.setModelMarkers(models[name], 'preview', []);
+        delete previewMarkers[name];
+    });
+}
+
+// Project scripts are registered as extra libs, so completions and go-to-definition
+// see every file, not just the ones the TS worker already has a model for
+function scheduleExtraLibSync() {
+    clearTimeout(extraLibTimer);
+    extraLibTimer = setTimeout(syncExtraLibs, 1000);
+}
+
+function syncExtraLibs() {
+    const libs = Object.values(files)
+        .filter(f => isModuleFile(f.name))
+        .map(f => ({ content: f.content, filePath: monaco.Uri.file(f.name).toString() }));
+    const signature = JSON.stringify(libs);
+    if (signature === extraLibSignature) return;
+    extraLibSignature = signature;
+    monaco.languages.typescript.javascriptDefaults.setExtraLibs(libs);
+    monaco.languages.typescript.typescriptDefaults.setExtraLibs(libs);
+}
+
+// Go-to-definition into another project file opens it in the editor
+function registerEditorOpener() {
+    monaco.editor.registerEditorOpener({
+        openCodeEditor(source, resource, selectionOrPosition) {
+            const name = resource.path.slice(1);
+            if (!files[name]) return false;
+            switchFile(name, editorGroups.find(group => group.editor === source) || activeGroup);
+            if (monaco.Range.isIRange(selectionOrPosition)) {
+                editor.setSelection(selectionOrPosition);
+                editor.revealRangeInCenter(selectionOrPosition);
+            } else if (selectionOrPosition) {
+                editor.setPosition(selectionOrPosition);
+                editor.revealPositionInCenter(selectionOrPosition);
+            }
+            return true;
+        }
+    });
+}
+
 // --- FILE MANAGEMENT ---
-function promptNewFile() {
-    const name = prompt("Enter file name (e.g., utils.js, card.css):");
-    if (!name) return;
-    if (files[name]) return toast("File already exists", "error");
+function promptNewFile(folder = '') {
+    const input = prompt("Enter file name (e.g., utils.js, components/card.css):");
+    if (!input) return;
+    const name = normalizePath(joinPath(folder, input));
+    if (!name) return toast("Invalid file name", "error");
+    if (files[name] || folderExists(name)) return toast("File already exists", "error");
 
     let lang = getLanguageForFile(name);
 
     files[name] = { name, language: lang, content: '' };
+    revealPath(name);
     saveProject();
     renderExplorer();
     switchFile(name);
 }
 
-function renameFile(name) {
-    const newName = prompt("Rename file to:", name);
-    if (!newName || newName === name) return;
-    if (files[newName]) return toast("File already exists", "error");
+function promptNewFolder(parent = '') {
+    const input = prompt("Enter folder name (e.g., src/components):");
+    if (!input) return;
+    const path = normalizePath(joinPath(parent, input));
+    if (!path) return toast("Invalid folder name", "error");
+    if (files[path] || folderExists(path)) return toast("Folder already exists", "error");
 
-    const file = files[name];
-    delete files[name];
-    file.name = newName;
-    file.language = getLanguageForFile(newName);
-    files[newName] = file;
-    if (activeFile === name) activeFile = newName;
+    folders.push(path);
+    revealPath(path);
+    collapsedFolders.delete(path);
     saveProject();
     renderExplorer();
-    renderTabs();
-    switchFile(activeFile);
+}
+
+function renameFile(name) {
+    const input = prompt("Rename file to:", name);
+    if (!input || input === name) return;
+    const newName = normalizePath(input);
+    if (!newName) return toast("Invalid file name", "error");
+    if (files[newName] || folderExists(newName)) return toast("File already exists", "error");
+
+    moveFile(name, newName);
+    revealPath(newName);
+    refreshEditorGroups();
+}
+
+function renameFolder(path) {
+    const input = prompt("Rename folder to:", path);
+    if (!input || input === path) return;
+    const newPath = normalizePath(input);
+    if (!newPath) return toast("Invalid folder name", "error");
+    if (files[newPath] || folderExists(newPath)) return toast("Folder already exists", "error");
+    if (isInside(newPath, path)) return toast("Cannot move a folder into itself", "error");
+
+    moveFolder(path, newPath);
+    revealPath(newPath);
+    refreshEditorGroups();
 }
 
 function duplicateFile(name) {
-    const duplicateName = prompt("Duplicate file as:", `copy-${name}`);
+    const duplicateName = normalizePath(prompt("Duplicate file as:", joinPath(getDirname(name), `copy-${getBasename(name)}`)) || '');
     if (!duplicateName) return;
-    if (files[duplicateName]) return toast("File already exists", "error");
+    if (files[duplicateName] || folderExists(duplicateName)) return toast("File already exists", "error");
 
-    const file = files[name];
-    files[duplicateName] = {
-        name: duplicateName,
-        language: getLanguageForFile(duplicateName),
-        content: file.content
-    };
+    // Binary assets keep their blob and mime type
+    files[duplicateName] = { ...files[name], name: duplicateName, language: getLanguageForFile(duplicateName) };
     saveProject();
     renderExplorer();
     renderTabs();
@@ -158,229 +558,4030 @@ function deleteFile(name) {
     if (!confirm(`Delete ${name}?`)) return;
 
     delete files[name];
-    if (activeFile === name) {
-        switchFile(Object.keys(files)[0]);
+    refreshEditorGroups(); // Closes its tabs in every group
+}
+
+function deleteFolder(path) {
+    const contained = Object.keys(files).filter(name => isInside(name, path));
+    if (contained.length === Object.keys(files).length) return toast("Cannot delete the last file", "error");
+    if (!confirm(`Delete ${path} and its ${contained.length} file(s)?`)) return;
+
+    contained.forEach(name => delete files[name]);
+    folders = folders.filter(folder => !isInside(folder, path));
+    refreshEditorGroups();
+}
+
+// Drag-and-drop target: moves a file or folder into `targetFolder` ('' is the root)
+function moveEntry(path, targetFolder) {
+    const destination = joinPath(targetFolder, getBasename(path));
+    if (destination === path) return;
+    if (files[destination] || folderExists(destination)) return toast(`${destination} already exists`, "error");
+
+    if (files[path]) {
+        moveFile(path, destination);
     } else {
-        renderExplorer();
-        renderTabs();
+        if (isInside(targetFolder, path)) return toast("Cannot move a folder into itself", "error");
+        moveFolder(path, destination);
+    }
+    revealPath(destination);
+    refreshEditorGroups();
+}
+
+function moveFile(from, to) {
+    renameModel(from, to);
+    const file = files[from];
+    delete files[from];
+    file.name = to;
+    file.language = getLanguageForFile(to);
+    files[to] = file;
+    if (activeFile === from) activeFile = to;
+    editorGroups.forEach(group => {
+        group.openTabs = group.openTabs.map(tab => tab === from ? to : tab);
+        if (group.previewTab === from) group.previewTab = to;
+        if (group.activeFile === from) group.activeFile = to;
+    });
+}
+
+function moveFolder(from, to) {
+    const rebase = (path) => to + path.slice(from.length);
+    Object.keys(files).filter(name => isInside(name, from)).forEach(name => moveFile(name, rebase(name)));
+    folders = folders.map(folder => isInside(folder, from) ? rebase(folder) : folder);
+    collapsedFolders = new Set([...collapsedFolders].map(folder => isInside(folder, from) ? rebase(folder) : folder));
+}
+
+function toggleFolder(path) {
+    if (collapsedFolders.has(path)) collapsedFolders.delete(path);
+    else collapsedFolders.add(path);
+    renderExplorer();
+}
+
+// Expand every folder above `path` so it is visible in the explorer
+function revealPath(path) {
+    let dir = getDirname(path);
+    while (dir) {
+        collapsedFolders.delete(dir);
+        dir = getDirname(dir);
+    }
+}
+
+// --- ASSETS ---
+// Anything not listed here is stored as a binary Blob (images, fonts, audio...)
+const TEXT_EXTENSIONS = ['html', 'htm', 'pug', 'css', 'scss', 'sass', 'less', 'js', 'mjs', 'cjs', 'jsx', 'ts', 'tsx', 'json', 'md', 'txt', 'svg', 'xml', 'csv'];
+// Text files the preview still loads by path; SVGs stay editable but are served as images
+const TEXT_ASSET_TYPES = { svg: 'image/svg+xml' };
+const assetUrls = {}; // path -> { source, url }, source being the Blob or the text it was made from
+
+function isTextFile(name) {
+    return TEXT_EXTENSIONS.includes(getExtension(name));
+}
+
+const MIME_TYPES = {
+    png: 'image/png', jpg: 'image/jpeg', jpeg: 'image/jpeg', gif: 'image/gif', webp: 'image/webp', avif: 'image/avif',
+    ico: 'image/x-icon', bmp: 'image/bmp', woff: 'font/woff', woff2: 'font/woff2', ttf: 'font/ttf', otf: 'font/otf',
+    mp3: 'audio/mpeg', wav: 'audio/wav', ogg: 'audio/ogg', mp4: 'video/mp4', webm: 'video/webm', pdf: 'application/pdf'
+};
+
+// `file` may be a File or a bare Blob (zip entries carry no type, so it is guessed from the name)
+async function readUploadedFile(file, path) {
+    const language = getLanguageForFile(path);
+    if (isTextFile(path)) return { name: path, language, content: await file.text() };
+
+    const mime = file.type || MIME_TYPES[getExtension(path)] || 'application/octet-stream';
+    const blob = file.type ? file : new Blob([file], { type: mime });
+    return { name: path, language, content: '', binary: true, blob, mime };
+}
+
+function openUploadDialog() {
+    document.getElementById('upload-input').click();
+}
+
+function getAssetSource(file) {
+    if (file?.binary) return file.blob;
+    return file && TEXT_ASSET_TYPES[getExtension(file.name)] ? file.content : null;
+}
+
+// Object URLs are reused while the asset is unchanged and revoked once stale
+function getAssetUrl(path) {
+    const file = files[path];
+    const source = getAssetSource(file);
+    if (source === null) return null;
+
+    const cached = assetUrls[path];
+    if (cached?.source === source) return cached.url;
+    if (cached) URL.revokeObjectURL(cached.url);
+    const blob = file.binary ? file.blob : new Blob([source], { type: TEXT_ASSET_TYPES[getExtension(path)] });
+    assetUrls[path] = { source, url: URL.createObjectURL(blob) };
+    return assetUrls[path].url;
+}
+
+function releaseStaleAssetUrls() {
+    Object.keys(assetUrls).forEach(path => {
+        if (getAssetSource(files[path]) === assetUrls[path].source) return;
+        URL.revokeObjectURL(assetUrls[path].url);
+        delete assetUrls[path];
+    });
+}
+
+function resolveAssetReference(from, reference) {
+    // Absolute URLs, protocol-relative URLs and fragments are left alone
+    if (/^([a-z][a-z0-9+.-]*:|\/\/|#)/i.test(reference)) return null;
+    let path = reference.split(/[?#]/)[0];
+    try {
+        path = decodeURIComponent(path);
+    } catch (e) {
+        // A lone % ("50%off.html") is taken literally
+    }
+    return getAssetUrl(resolveRelativePath(from, path));
+}
+
+// Points src/href/poster attributes and CSS url() references at uploaded assets
+function rewriteAssetUrls(code, from) {
+    const replaceReference = (match, prefix, quote, reference) => {
+        const url = resolveAssetReference(from, reference);
+        return url ? `${prefix}${quote}${url}${quote}` : match;
+    };
+    return code
+        .replace(/(\b(?:src|href|poster)\s*=\s*)(["'])([^"']+)\2/g, replaceReference)
+        .replace(/(\burl\(\s*)(["']?)([^"')]+?)\2(?=\s*\))/g, replaceReference);
+}
+
+function showAssetViewer(group, file) {
+    const viewer = group.element.querySelector('.asset-viewer');
+    viewer.classList.toggle('hidden', !file);
+    if (!file) return;
+
+    const isImage = file.mime.startsWith('image/');
+    viewer.innerHTML = `
+        ${isImage ? `<img src="${getAssetUrl(file.name)}" class="max-w-[80%] max-h-[70%] object-contain mb-4">` : '<i data-lucide="file" class="w-12 h-12 mb-4"></i>'}
+        <div class="text-white">${escapeHtml(getBasename(file.name))}</div>
+        <div class="text-xs mt-1">${file.mime} · ${formatBytes(file.blob.size)}</div>
+    `;
+    lucide.createIcons();
+}
+
+// --- IMPORT ---
+// Every source (zip, folder picker, dropped files/folders) is turned into
+// [{ path, blob }] and goes through importEntries(), which handles conflicts
+let resolveImportConflict = null;
+
+function openImportModal() {
+    document.getElementById('import-modal').classList.remove('hidden');
+}
+
+function pickImport(inputId) {
+    closeModals();
+    document.getElementById(inputId).click();
+}
+
+async function importZip(file, folder = '') {
+    let zip;
+    try {
+        zip = await JSZip.loadAsync(file);
+    } catch (e) {
+        console.error(e);
+        return toast(`${file.name} is not a valid zip file`, "error");
     }
+
+    const entries = [];
+    const emptyFolders = [];
+    const reads = [];
+    zip.forEach((path, entry) => {
+        if (entry.dir) {
+            emptyFolders.push(path);
+        } else {
+            reads.push(entry.async('blob').then(blob => entries.push({ path, blob })));
+        }
+    });
+    await Promise.all(reads);
+    // Zips also list the parents of every file as directories; only keep the really empty ones
+    const leafFolders = emptyFolders.filter(dir => !entries.some(e => e.path.startsWith(dir)));
+    // Archives like GitHub downloads wrap everything in one top-level folder. Our own exports
+    // carry the manifest and keep their folders, even if every file lives under src/
+    const ownExport = entries.some(e => e.path === PROJECT_MANIFEST);
+    const stripped = ownExport ? { entries, emptyFolders: leafFolders } : stripSingleRoot(entries, leafFolders);
+    await importProjectEntries(stripped.entries, stripped.emptyFolders, folder);
+}
+
+// The manifest of an export never becomes a project file; its settings only apply to imports at the root
+async function importProjectEntries(entries, emptyFolders, folder = '') {
+    const manifest = entries.find(e => e.path === PROJECT_MANIFEST);
+    if (manifest && !folder) await applyProjectManifest(manifest.blob);
+    await importEntries(entries.filter(e => e !== manifest), emptyFolders, folder);
+}
+
+// Folder picker: paths come as "picked-folder/..." and the picked folder itself is dropped
+async function importFolderInput(fileList) {
+    const entries = [...fileList].map(file => ({ path: file.webkitRelativePath || file.name, blob: file }));
+    document.getElementById('import-folder-input').value = '';
+    const stripped = stripSingleRoot(entries, []);
+    await importProjectEntries(stripped.entries, stripped.emptyFolders);
+}
+
+async function importZipInput(fileList) {
+    const [file] = fileList;
+    document.getElementById('import-zip-input').value = '';
+    if (file) await importZip(file);
+}
+
+async function uploadFiles(fileList, folder = '') {
+    const entries = [...fileList].map(file => ({ path: file.name, blob: file }));
+    document.getElementById('upload-input').value = '';
+    await importEntries(entries, [], folder);
+}
+
+// Drops keep their folder structure; a single dropped .zip is unpacked
+async function importDataTransfer(dataTransfer, folder = '') {
+    // webkitGetAsEntry() only works synchronously inside the drop event
+    const roots = [...dataTransfer.items].map(item => item.webkitGetAsEntry?.()).filter(Boolean);
+    const droppedFiles = [...dataTransfer.files];
+    if (roots.length === 0) return uploadFiles(droppedFiles, folder);
+
+    if (roots.length === 1 && roots[0].isFile && roots[0].name.toLowerCase().endsWith('.zip')) {
+        return importZip(droppedFiles[0], folder);
+    }
+
+    const entries = [];
+    const emptyFolders = [];
+    const walk = async (entry, path) => {
+        if (entry.isFile) {
+            entries.push({ path, blob: await new Promise((resolve, reject) => entry.file(resolve, reject)) });
+            return;
+        }
+        const children = await readDirectoryEntries(entry);
+        if (children.length === 0) emptyFolders.push(path);
+        for (const child of children) await walk(child, `${path}/${child.name}`);
+    };
+    for (const root of roots) await walk(root, root.name);
+    await importEntries(entries, emptyFolders, folder);
+}
+
+// readEntries() hands results out in batches until it returns an empty one
+function readDirectoryEntries(directory) {
+    const reader = directory.createReader();
+    const children = [];
+    return new Promise((resolve, reject) => {
+        const next = () => reader.readEntries(batch => {
+            if (batch.length === 0) return resolve(children);
+            children.push(...batch);
+            next();
+        }, reject);
+        next();
+    });
+}
+
+function stripSingleRoot(entries, emptyFolders) {
+    entries = entries.filter(e => !isJunkPath(e.path));
+    emptyFolders = emptyFolders.filter(path => !isJunkPath(path));
+    const roots = new Set(entries.map(e => e.path.split('/')[0]));
+    const [root] = roots;
+    if (roots.size !== 1 || !entries.every(e => e.path.startsWith(`${root}/`))) return { entries, emptyFolders };
+
+    const strip = (path) => path.slice(root.length + 1);
+    return {
+        entries: entries.map(e => ({ ...e, path: strip(e.path) })),
+        emptyFolders: emptyFolders.map(strip).filter(Boolean)
+    };
+}
+
+function isJunkPath(path) {
+    return path.split('/').some(part => part === '__MACOSX' || part === '.DS_Store' || part === '.git');
+}
+
+async function importEntries(entries, emptyFolders = [], folder = '') {
+    const incoming = [];
+    for (const { path, blob } of entries.filter(e => !isJunkPath(e.path))) {
+        const name = normalizePath(joinPath(folder, path));
+        if (name) incoming.push(await readUploadedFile(blob, name));
+    }
+    const newFolders = emptyFolders
+        .filter(path => !isJunkPath(path))
+        .map(path => normalizePath(joinPath(folder, path)))
+        .filter(path => path && !folderExists(path) && !files[path]);
+    if (incoming.length === 0 && newFolders.length === 0) return toast("Nothing to import", "error");
+
+    const conflicts = incoming.filter(f => isImportConflict(f.name)).map(f => f.name);
+    const mode = conflicts.length > 0 ? await askImportConflict(conflicts) : 'replace';
+    if (mode === 'cancel') return;
+
+    let imported = 0;
+    incoming.forEach(file => {
+        if (conflicts.includes(file.name)) {
+            if (mode === 'merge') return;
+            clearImportPath(file.name);
+        }
+        files[file.name] = file;
+        imported++;
+    });
+    folders.push(...newFolders);
+
     saveProject();
+    refreshEditorGroups(); // Open files may have been replaced
+    updatePreview();
+    toast(`Imported ${imported} file(s)${mode === 'merge' && conflicts.length ? `, kept ${conflicts.length} existing` : ''}`);
 }
 
-function switchFile(name) {
-    if (!editor) return;
-    activeFile = name;
-    
-    // Update Model
-    const file = files[name];
-    const model = editor.getModel();
-    monaco.editor.setModelLanguage(model, file.language);
-    editor.setValue(file.content);
+// Besides an existing file, a folder at the path or a file where one of its folders would go is in the way
+function isImportConflict(name) {
+    return !!files[name] || folderExists(name) || getAncestorPaths(name).some(dir => files[dir]);
+}
+
+// Replacing removes whatever is in the way, including a folder and everything inside it
+function clearImportPath(name) {
+    Object.keys(files).filter(path => isInside(path, name)).forEach(path => delete files[path]);
+    getAncestorPaths(name).forEach(dir => delete files[dir]);
+    folders = folders.filter(folder => !isInside(folder, name));
+}
+
+// Resolves with 'merge' (keep existing files), 'replace' (overwrite them) or 'cancel'
+function askImportConflict(conflicts) {
+    const shown = conflicts.slice(0, 8).map(name => `<li class="truncate">${escapeHtml(name)}</li>`).join('');
+    const more = conflicts.length > 8 ? `<li>…and ${conflicts.length - 8} more</li>` : '';
+    document.getElementById('import-conflict-list').innerHTML = shown + more;
+    document.getElementById('import-conflict-count').innerText = conflicts.length;
+    document.getElementById('import-conflict-modal').classList.remove('hidden');
+    return new Promise(resolve => resolveImportConflict = resolve);
+}
+
+function resolveConflict(mode) {
+    document.getElementById('import-conflict-modal').classList.add('hidden');
+    resolveImportConflict?.(mode);
+    resolveImportConflict = null;
+}
+
+// --- PATHS ---
+function normalizePath(path) {
+    const parts = path.trim().replace(/\\/g, '/').split('/').filter(part => part && part !== '.');
+    if (parts.length === 0 || parts.includes('..')) return null;
+    return parts.join('/');
+}
+
+function joinPath(dir, name) {
+    return dir ? `${dir}/${name}` : name;
+}
+
+function getDirname(path) {
+    return path.includes('/') ? path.slice(0, path.lastIndexOf('/')) : '';
+}
+
+function getBasename(path) {
+    return path.split('/').pop();
+}
+
+// True when `path` is `folder` itself or lives somewhere below it
+function isInside(path, folder) {
+    return path === folder || path.startsWith(`${folder}/`);
+}
+
+// "a/b/c.js" -> ['a', 'a/b']
+function getAncestorPaths(path) {
+    const parts = path.split('/').slice(0, -1);
+    return parts.map((_, i) => parts.slice(0, i + 1).join('/'));
+}
+
+function folderExists(path) {
+    return folders.includes(path) || Object.keys(files).some(name => name.startsWith(`${path}/`));
+}
+
+// Opens `name` in a group (pinning a tab for it if needed) and focuses it; null shows the empty editor
+function switchFile(name, group = activeGroup) {
+    if (!group?.editor) return;
+    const tabCount = group.openTabs.length;
+    showFileInGroup(group, name);
+    focusGroup(group);
+    if (editor.getModel()) editor.focus();
     
     // Update UI
     renderExplorer();
     renderTabs();
-    document.getElementById('lang-display').innerText = file.language.toUpperCase();
+    if (group.openTabs.length !== tabCount) saveProject(); // Persists the new tab
+}
+
+// --- TABS ---
+function getTabState() {
+    return {
+        groups: editorGroups.map(group => ({ open: group.openTabs, preview: group.previewTab, active: group.activeFile })),
+        focused: editorGroups.indexOf(activeGroup)
+    };
+}
+
+// Rebuilds the editor groups of a freshly opened project (Monaco editors are created by renderEditorGroups)
+function restoreTabState(state) {
+    disposeEditorGroups();
+    const saved = state?.groups || [state || {}]; // Older projects stored a single tab strip
+    editorGroups = saved.slice(0, MAX_EDITOR_GROUPS).map(createEditorGroup);
+    if (!state) {
+        editorGroups[0].activeFile = files['index.html'] ? 'index.html' : (Object.values(files).find(f => !f.binary) || Object.values(files)[0]).name;
+    }
+    activeGroup = editorGroups[state?.focused] || editorGroups[0];
+    activeFile = activeGroup.activeFile;
+}
+
+// Like VS Code: the tab to the right of `name`, else the one to the left
+function getNeighbourTab(tabs, name) {
+    const index = tabs.indexOf(name);
+    return tabs.slice(index + 1).find(tab => files[tab] && tab !== name)
+        ?? tabs.slice(0, Math.max(index, 0)).reverse().find(tab => files[tab])
+        ?? null;
+}
+
+// Explorer single click: show the file in the preview tab instead of opening another tab
+function openPreview(name, group = activeGroup) {
+    if (!group.openTabs.includes(name)) {
+        const index = group.openTabs.indexOf(group.previewTab);
+        if (index >= 0) group.openTabs[index] = name;
+        else group.openTabs.push(name);
+        group.previewTab = name;
+        saveProject();
+    }
+    switchFile(name, group);
+}
+
+function pinTab(name, group = activeGroup) {
+    if (group.previewTab !== name) return;
+    group.previewTab = null;
+    renderTabs();
+    saveProject();
+}
+
+// Closing the last tab of a group removes the group (unless it is the only one)
+function closeTab(name, group = activeGroup) {
+    const index = group.openTabs.indexOf(name);
+    if (index < 0) return;
+    const next = getNeighbourTab(group.openTabs, name);
+    group.openTabs.splice(index, 1);
+    if (group.previewTab === name) group.previewTab = null;
+
+    if (group.openTabs.length === 0 && editorGroups.length > 1) {
+        removeEditorGroup(group);
+    } else if (group.activeFile === name) {
+        if (group === activeGroup) switchFile(next, group);
+        else showFileInGroup(group, next);
+    }
+    renderTabs();
+    saveProject();
+}
+
+function closeOtherTabs(name, group = activeGroup) {
+    group.openTabs = group.openTabs.filter(tab => tab === name);
+    if (group.previewTab !== name) group.previewTab = null;
+    switchFile(name, group);
+    saveProject();
+}
+
+function closeAllTabs(group = activeGroup) {
+    group.openTabs = [];
+    group.previewTab = null;
+    if (editorGroups.length > 1) return closeEditorGroup(group);
+    switchFile(null, group);
+    saveProject();
+}
+
+// Dropping a tab onto another puts it at that tab's position, in that tab's group
+function moveTab(name, from, target, to) {
+    if (from !== to) return moveEditorToGroup(name, from, to, to.openTabs.indexOf(target));
+    const fromIndex = from.openTabs.indexOf(name);
+    const toIndex = from.openTabs.indexOf(target);
+    if (fromIndex < 0 || toIndex < 0 || fromIndex === toIndex) return;
+    from.openTabs.splice(fromIndex, 1);
+    from.openTabs.splice(toIndex, 0, name);
+    renderTabs();
+    saveProject();
+}
+
+// Autosave writes every edit within moments, so a file only counts as unsaved
+// while saves are failing (storage full, blocked...) and it differs from what was written
+function isDirty(name) {
+    const file = files[name];
+    return saveFailed && !!file && savedState[name] !== (file.binary ? file.blob : file.content);
+}
+
+function refreshDirtyMarkers() {
+    document.querySelectorAll('.tab-list .tab').forEach(tab => tab.classList.toggle('dirty', isDirty(tab.dataset.name)));
+}
+
+const TAB_DRAG_TYPE = 'application/x-editor-tab';
+let draggedTab = null; // { name, group } while a tab is being dragged
+
+function makeTabDraggable(element, name, group) {
+    element.draggable = true;
+    element.addEventListener('dragstart', (e) => {
+        draggedTab = { name, group };
+        e.dataTransfer.setData(TAB_DRAG_TYPE, name);
+        e.dataTransfer.effectAllowed = 'move';
+    });
+    element.addEventListener('dragend', () => draggedTab = null);
+    element.addEventListener('dragover', (e) => {
+        if (!e.dataTransfer.types.includes(TAB_DRAG_TYPE)) return;
+        e.preventDefault();
+        e.stopPropagation();
+        element.classList.add('tab-drop-target');
+    });
+    element.addEventListener('dragleave', () => element.classList.remove('tab-drop-target'));
+    element.addEventListener('drop', (e) => {
+        if (!draggedTab) return;
+        e.preventDefault();
+        e.stopPropagation();
+        element.classList.remove('tab-drop-target');
+        moveTab(draggedTab.name, draggedTab.group, name, group);
+    });
+}
+
+// Dropping on the empty part of a tab strip appends the tab to that group
+function makeTabListDropTarget(element, group) {
+    element.addEventListener('dragover', (e) => {
+        if (!e.dataTransfer.types.includes(TAB_DRAG_TYPE)) return;
+        e.preventDefault();
+    });
+    element.addEventListener('drop', (e) => {
+        if (!draggedTab) return;
+        e.preventDefault();
+        if (draggedTab.group !== group) moveEditorToGroup(draggedTab.name, draggedTab.group, group);
+    });
+}
+
+// --- EDITOR GROUPS ---
+// The editor area is split into groups, each with its own Monaco editor, tabs
+// and active file. Models are shared, so the same file can be open side by side.
+// `editor` and `activeFile` always refer to the focused group.
+const MAX_EDITOR_GROUPS = 4;
+let editorGroups = [];
+let activeGroup = null;
+let nextGroupId = 1;
+
+function createEditorGroup(saved = {}) {
+    const openTabs = (saved.open || []).filter(name => files[name]);
+    return {
+        id: nextGroupId++,
+        openTabs,
+        previewTab: openTabs.includes(saved.preview) ? saved.preview : null, // Opened with a single click: replaced by the next preview, pinned once edited
+        activeFile: files[saved.active] ? saved.active : null,
+        viewStates: {},
+        element: null,
+        editor: null
+    };
+}
+
+function getEditorOptions() {
+    return {
+        model: null, // Per-file models are attached by showFileInGroup()
+        theme: appSettings.theme,
+        automaticLayout: true,
+        minimap: { enabled: appSettings.minimap },
+        wordWrap: appSettings.wordWrap ? 'on' : 'off',
+        fontSize: appSettings.fontSize,
+        fontFamily: '"Fira Code", "Menlo", "Monaco", monospace',
+        fontLigatures: true,
+        padding: { top: 16 },
+        readOnly: embedMode
+    };
+}
+
+function updateEditorOptions(options) {
+    editorGroups.forEach(group => group.editor?.updateOptions(options));
+}
+
+function createGroupElement(group) {
+    const div = document.createElement('div');
+    div.className = 'editor-group flex flex-col min-w-0 min-h-0 h-full w-full';
+    div.innerHTML = `
+        <div class="flex bg-[#252526] border-b border-[#1e1e1e] h-9 shrink-0">
+            <div class="tab-list flex flex-1 overflow-x-auto scrollbar-hide"></div>
+            <button class="split-button px-2 text-gray-500 hover:text-white" title="Split Editor">
+                <i data-lucide="columns-2" class="w-4 h-4"></i>
+            </button>
+        </div>
+        <div class="flex-1 relative min-h-0">
+            <div class="editor-empty hidden absolute inset-0 z-10 bg-[#1e1e1e] flex flex-col items-center justify-center text-sm text-gray-500">
+                <i data-lucide="layout-template" class="w-12 h-12 mb-4 text-[#333]"></i>
+                No file is open. Pick one in the explorer.
+            </div>
+            <div class="asset-viewer hidden absolute inset-0 z-10 bg-[#1e1e1e] flex flex-col items-center justify-center text-sm text-gray-400"></div>
+            <div class="editor-container w-full h-full"></div>
+        </div>
+    `;
+    div.addEventListener('mousedown', () => focusGroup(group), true);
+    div.querySelector('.split-button').onclick = () => splitEditor(group);
+    makeTabListDropTarget(div.querySelector('.tab-list'), group);
+    group.element = div;
+}
+
+function createGroupEditor(group) {
+    group.editor = monaco.editor.create(group.element.querySelector('.editor-container'), getEditorOptions());
+
+    // Events (content changes are tracked per model, see createFileModel)
+    group.editor.onDidChangeCursorPosition((e) => {
+        if (group !== activeGroup) return;
+        document.getElementById('cursor-position').innerText = `Ln ${e.position.lineNumber}, Col ${e.position.column}`;
+    });
+    group.editor.onDidChangeCursorSelection(() => {
+        if (group === activeGroup) updatePresence();
+    });
+    group.editor.onDidFocusEditorWidget(() => focusGroup(group));
+}
+
+// Puts every group's element (and, once Monaco is loaded, editor) in place
+function renderEditorGroups() {
+    const container = document.getElementById('editor-groups');
+    editorGroups.forEach(group => {
+        if (!group.element) createGroupElement(group);
+        if (window.monaco && !group.editor) createGroupEditor(group);
+    });
+    destroyGroupSplit(); // Before its gutters leave the DOM, Split.js removes them itself
+    container.replaceChildren(...editorGroups.map(group => group.element));
+    layoutEditorGroups();
+    renderTabs();
+}
+
+function disposeEditorGroups() {
+    destroyGroupSplit();
+    editorGroups.forEach(group => {
+        group.editor?.dispose();
+        group.element?.remove();
+    });
+    editorGroups = [];
+    activeGroup = null;
+    editor = null;
+}
+
+function focusGroup(group) {
+    if (!group) return;
+    activeGroup = group;
+    editor = group.editor;
+    activeFile = group.activeFile;
+    editorGroups.forEach(g => g.element?.classList.toggle('focused', g === group));
+
+    const file = files[activeFile];
+    document.getElementById('lang-display').innerText = !file ? '' : file.binary ? file.mime : file.language.toUpperCase();
+    const position = editor?.getPosition();
+    if (position) document.getElementById('cursor-position').innerText = `Ln ${position.lineNumber}, Col ${position.column}`;
+    updatePresence();
+}
+
+// Attaches `name` to the group's editor (or the asset viewer / empty state) without focusing it
+function showFileInGroup(group, name) {
+    if (!group.editor) return;
+    const current = group.editor.getModel();
+    if (current) group.viewStates[getModelName(current)] = group.editor.saveViewState();
+    group.openTabs = group.openTabs.filter(tab => files[tab]);
+    group.activeFile = files[name] ? name : null;
+    if (group.activeFile && !group.openTabs.includes(group.activeFile)) group.openTabs.push(group.activeFile);
+    if (group.activeFile) rememberRecentFile(group.activeFile);
+    if (group.previewTab && !group.openTabs.includes(group.previewTab)) group.previewTab = null;
+
+    // Binary assets get a viewer instead of the editor
+    const file = files[group.activeFile];
+    group.element.querySelector('.editor-empty').classList.toggle('hidden', !!file);
+    showAssetViewer(group, file?.binary ? file : null);
+    if (file && !file.binary) {
+        if (!models[file.name]) syncModels();
+        group.editor.setModel(models[file.name]);
+        if (group.viewStates[file.name]) group.editor.restoreViewState(group.viewStates[file.name]);
+    } else {
+        group.editor.setModel(null);
+    }
+    renderRemoteCursors();
+}
+
+// Brings every group back in line with `files` after renames, deletes, imports or restores:
+// tabs of missing files are closed (activating a neighbour) and emptied groups are removed
+function refreshEditorGroups() {
+    syncModels();
+    [...editorGroups].forEach(group => {
+        const next = files[group.activeFile] ? group.activeFile : getNeighbourTab(group.openTabs, group.activeFile);
+        group.openTabs = group.openTabs.filter(tab => files[tab]);
+        if (!next && editorGroups.length > 1) removeEditorGroup(group);
+        else showFileInGroup(group, next);
+    });
+    focusGroup(editorGroups.includes(activeGroup) ? activeGroup : editorGroups[0]);
+    renderExplorer();
+    renderTabs();
+    saveProject();
+}
+
+function removeEditorGroup(group) {
+    const index = editorGroups.indexOf(group);
+    if (index < 0 || editorGroups.length <= 1) return;
+    group.editor?.dispose();
+    group.element?.remove();
+    editorGroups.splice(index, 1);
+    if (activeGroup === group) focusGroup(editorGroups[Math.max(0, index - 1)]);
+    renderEditorGroups();
+    saveProject();
+}
+
+function addEditorGroup(index) {
+    if (editorGroups.length >= MAX_EDITOR_GROUPS) {
+        toast(`At most ${MAX_EDITOR_GROUPS} editor groups can be open`, "error");
+        return null;
+    }
+    const group = createEditorGroup();
+    editorGroups.splice(index, 0, group);
+    renderEditorGroups();
+    return group;
+}
+
+// Opens the group's file in a new group to its right, keeping cursor and scroll position
+function splitEditor(group = activeGroup) {
+    if (!group?.activeFile) return;
+    const target = addEditorGroup(editorGroups.indexOf(group) + 1);
+    if (!target) return;
+    if (group.editor?.getModel()) target.viewStates[group.activeFile] = group.editor.saveViewState();
+    switchFile(group.activeFile, target);
+}
+
+function focusAdjacentGroup(offset) {
+    const group = editorGroups[editorGroups.indexOf(activeGroup) + offset];
+    if (!group) return;
+    focusGroup(group);
+    group.editor?.focus();
+}
+
+// Moving past the last group opens a new one, like VS Code
+function moveEditorToAdjacentGroup(offset) {
+    if (!activeFile) return;
+    const index = editorGroups.indexOf(activeGroup) + offset;
+    if (index < 0) return;
+    const target = editorGroups[index] || addEditorGroup(index);
+    if (target) moveEditorToGroup(activeFile, activeGroup, target);
+}
+
+function moveEditorToGroup(name, from, to, position = to.openTabs.length) {
+    if (from === to) return;
+    to.openTabs = to.openTabs.filter(tab => tab !== name);
+    to.openTabs.splice(Math.min(position, to.openTabs.length), 0, name);
+    if (from.editor?.getModel() === models[name]) to.viewStates[name] = from.editor.saveViewState();
+    closeTab(name, from);
+    switchFile(name, to);
+}
+
+function closeEditorGroup(group = activeGroup) {
+    if (editorGroups.length <= 1) return closeAllTabs(group);
+    removeEditorGroup(group);
+    refreshEditorGroups();
+}
+
+// --- RENDERING UI ---
+const FILE_ICONS = {
+    html: { icon: 'file-code', color: 'text-orange-500' },
+    htm: { icon: 'file-code', color: 'text-orange-500' },
+    pug: { icon: 'dog', color: 'text-amber-600' },
+    md: { icon: 'file-text', color: 'text-sky-300' },
+    css: { icon: 'file-type', color: 'text-blue-400' },
+    scss: { icon: 'file-type', color: 'text-pink-400' },
+    sass: { icon: 'file-type', color: 'text-pink-400' },
+    less: { icon: 'file-type', color: 'text-indigo-400' },
+    js: { icon: 'file-json', color: 'text-yellow-400' },
+    mjs: { icon: 'file-json', color: 'text-yellow-400' },
+    jsx: { icon: 'atom', color: 'text-cyan-400' },
+    ts: { icon: 'file-code-2', color: 'text-blue-500' },
+    tsx: { icon: 'atom', color: 'text-blue-400' },
+    json: { icon: 'braces', color: 'text-yellow-600' },
+    svg: { icon: 'image', color: 'text-amber-400' },
+    txt: { icon: 'file-text', color: 'text-gray-400' }
+};
+
+function getFileIcon(name) {
+    if (/\.(png|jpe?g|gif|webp|avif|ico|bmp)$/i.test(name)) return { icon: 'image', color: 'text-purple-400' };
+    if (/\.(woff2?|ttf|otf|eot)$/i.test(name)) return { icon: 'type', color: 'text-red-400' };
+    return FILE_ICONS[getExtension(name)] || { icon: 'file', color: 'text-gray-400' };
+}
+
+// Nested { folders, files } structure built from file paths plus the explicit (possibly empty) folders
+function buildFileTree() {
+    const root = { path: '', folders: {}, files: [] };
+    const ensureFolder = (path) => {
+        let node = root;
+        path.split('/').forEach(part => {
+            node.folders[part] = node.folders[part] || { path: joinPath(node.path, part), name: part, folders: {}, files: [] };
+            node = node.folders[part];
+        });
+        return node;
+    };
+
+    folders.forEach(ensureFolder);
+    Object.values(files).forEach(file => {
+        const dir = getDirname(file.name);
+        (dir ? ensureFolder(dir) : root).files.push(file);
+    });
+    return root;
+}
+
+function renderExplorer() {
+    const list = document.getElementById('file-list');
+    list.innerHTML = '';
+    renderTreeNode(buildFileTree(), 0, list);
+    lucide.createIcons();
+}
+
+function renderTreeNode(node, depth, list) {
+    Object.values(node.folders).sort((a, b) => a.name.localeCompare(b.name)).forEach(folder => {
+        list.appendChild(createFolderItem(folder, depth));
+        if (!collapsedFolders.has(folder.path)) renderTreeNode(folder, depth + 1, list);
+    });
+    node.files.sort((a, b) => a.name.localeCompare(b.name)).forEach(file => {
+        list.appendChild(createFileItem(file, depth));
+    });
+}
+
+function createFolderItem(folder, depth) {
+    const collapsed = collapsedFolders.has(folder.path);
+    const div = document.createElement('div');
+    div.className = 'file-item group justify-between';
+    div.style.paddingLeft = `${12 + depth * 12}px`;
+    div.onclick = () => toggleFolder(folder.path);
+    makeDraggable(div, folder.path);
+    makeDropTarget(div, folder.path);
+
+    div.innerHTML = `
+        <div class="flex items-center min-w-0">
+            <i data-lucide="${collapsed ? 'chevron-right' : 'chevron-down'}" class="w-3 h-3 mr-1 shrink-0"></i>
+            <i data-lucide="${collapsed ? 'folder' : 'folder-open'}" class="w-4 h-4 text-[#dcb67a] mr-2 shrink-0"></i>
+            <span class="truncate">${escapeHtml(folder.name)}</span>
+        </div>
+        <div class="embed-hidden flex items-center opacity-0 group-hover:opacity-100">
+            <button onclick="event.stopPropagation(); promptNewFile(${handlerArg(folder.path)})" class="hover:text-blue-400 p-1" title="New File">
+                <i data-lucide="file-plus" class="w-3 h-3"></i>
+            </button>
+            <button onclick="event.stopPropagation(); promptNewFolder(${handlerArg(folder.path)})" class="hover:text-blue-400 p-1" title="New Folder">
+                <i data-lucide="folder-plus" class="w-3 h-3"></i>
+            </button>
+            <button onclick="event.stopPropagation(); renameFolder(${handlerArg(folder.path)})" class="hover:text-yellow-400 p-1" title="Rename">
+                <i data-lucide="edit-3" class="w-3 h-3"></i>
+            </button>
+            <button onclick="event.stopPropagation(); deleteFolder(${handlerArg(folder.path)})" class="hover:text-red-400 p-1" title="Delete">
+                <i data-lucide="trash-2" class="w-3 h-3"></i>
+            </button>
+        </div>
+    `;
+    return div;
+}
+
+function createFileItem(file, depth) {
+    const div = document.createElement('div');
+    div.className = `file-item ${activeFile === file.name ? 'active' : ''} group justify-between`;
+    div.style.paddingLeft = `${28 + depth * 12}px`;
+    div.onclick = () => openPreview(file.name);
+    div.ondblclick = () => pinTab(file.name);
+    makeDraggable(div, file.name);
+    // Dropping onto a file moves into the folder that contains it
+    makeDropTarget(div, getDirname(file.name));
+
+    const { icon, color } = getFileIcon(file.name);
+
+    div.innerHTML = `
+        <div class="flex items-center min-w-0">
+            <i data-lucide="${icon}" class="w-4 h-4 ${color} mr-2 shrink-0"></i>
+            <span class="truncate">${escapeHtml(getBasename(file.name))}</span>
+            ${getPresenceDots(file.name)}
+        </div>
+        <div class="embed-hidden flex items-center opacity-0 group-hover:opacity-100">
+            <button onclick="event.stopPropagation(); duplicateFile(${handlerArg(file.name)})" class="hover:text-blue-400 p-1" title="Duplicate">
+                <i data-lucide="copy" class="w-3 h-3"></i>
+            </button>
+            <button onclick="event.stopPropagation(); renameFile(${handlerArg(file.name)})" class="hover:text-yellow-400 p-1" title="Rename">
+                <i data-lucide="edit-3" class="w-3 h-3"></i>
+            </button>
+            ${file.name !== 'index.html' ? 
+                `<button onclick="event.stopPropagation(); deleteFile(${handlerArg(file.name)})" class="hover:text-red-400 p-1" title="Delete">
+                    <i data-lucide="trash-2" class="w-3 h-3"></i>
+                </button>` : ''}
+        </div>
+    `;
+    return div;
+}
+
+// Explorer drag-and-drop uses its own MIME type so it can be told apart from OS file drops (imports)
+const EXPLORER_DRAG_TYPE = 'application/x-explorer-path';
+
+function isExplorerDrag(e) {
+    return !embedMode && e.dataTransfer.types.includes(EXPLORER_DRAG_TYPE);
+}
+
+function isFileDrop(e) {
+    return !embedMode && e.dataTransfer.types.includes('Files');
+}
+
+function makeDraggable(element, path) {
+    element.draggable = true;
+    element.addEventListener('dragstart', (e) => {
+        e.stopPropagation();
+        e.dataTransfer.setData(EXPLORER_DRAG_TYPE, path);
+        e.dataTransfer.effectAllowed = 'move';
+    });
+}
+
+function makeDropTarget(element, folder) {
+    element.addEventListener('dragover', (e) => {
+        if (!isExplorerDrag(e) && !isFileDrop(e)) return;
+        e.preventDefault();
+        e.stopPropagation();
+        element.classList.add('drop-target');
+    });
+    element.addEventListener('dragleave', () => element.classList.remove('drop-target'));
+    element.addEventListener('drop', (e) => {
+        if (!isExplorerDrag(e) && !isFileDrop(e)) return;
+        e.preventDefault();
+        e.stopPropagation();
+        element.classList.remove('drop-target');
+        if (isExplorerDrag(e)) moveEntry(e.dataTransfer.getData(EXPLORER_DRAG_TYPE), folder);
+        else importDataTransfer(e.dataTransfer, folder);
+    });
+}
+
+function renderTabs() {
+    editorGroups.forEach(group => group.element && renderGroupTabs(group));
+    lucide.createIcons();
+}
+
+function renderGroupTabs(group) {
+    const list = group.element.querySelector('.tab-list');
+    list.innerHTML = '';
+    
+    group.openTabs.filter(name => files[name]).forEach(name => {
+        const div = document.createElement('div');
+        div.className = `tab ${group.activeFile === name ? 'active' : ''} ${group.previewTab === name ? 'preview' : ''} ${isDirty(name) ? 'dirty' : ''}`;
+        div.title = name;
+        div.dataset.name = name;
+        div.onclick = () => switchFile(name, group);
+        div.ondblclick = () => pinTab(name, group);
+        // Middle click closes (and must not start autoscroll)
+        div.onmousedown = (e) => { if (e.button === 1) e.preventDefault(); };
+        div.onauxclick = (e) => { if (e.button === 1) closeTab(name, group); };
+        makeTabDraggable(div, name, group);
+        
+        const { icon, color } = getFileIcon(name);
+
+        div.innerHTML = `
+            <i data-lucide="${icon}" class="w-3.5 h-3.5 ${color} mr-2 shrink-0"></i>
+            <span class="truncate">${escapeHtml(getBasename(name))}</span>
+            <button class="tab-close" title="Close">
+                <span class="tab-dirty-dot"></span>
+                <i data-lucide="x" class="w-3 h-3"></i>
+            </button>
+        `;
+        div.querySelector('.tab-close').onclick = (e) => {
+            e.stopPropagation();
+            closeTab(name, group);
+        };
+        list.appendChild(div);
+    });
+}
+
+// --- PREVIEW BUILDER ---
+let previewBuildId = 0;
+let previewDocument = { html: null, lineOffset: 0 };
+
+async function updatePreview() {
+    const buildId = ++previewBuildId;
+    const htmlFile = getPageFile();
+    if (!htmlFile) return;
+
+    pendingPreviewChanges.clear();
+    releaseStaleAssetUrls();
+    clearPreviewMarkers(); // Before compiling, which reports build errors
+
+    // Transform stage (preprocessors, JSX / TypeScript)
+    let cssContent, pageHtml, compiled;
+    try {
+        [cssContent, pageHtml, compiled] = await Promise.all([collectCss(), renderPage(htmlFile), transpileFiles()]);
+    } catch (e) {
+        console.error(e);
+        return toast("Failed to load a compiler", "error");
+    }
+    if (buildId !== previewBuildId) return; // A newer build started meanwhile
+    if (pageHtml === null) return; // Keep the last preview, the error is in the console
+
+    // JS modules: every project file is addressable through the import map,
+    // only the entry is executed (everything else runs when imported)
+    const importMap = { imports: { ...buildDependencyImports(), ...buildModuleMap(compiled) } };
+    const entry = getEntryFile();
+    const entryTag = entry ? `<script type="module">import ${toInlineScriptJson(toModuleSpecifier(entry.name))};<\/script>` : '';
+
+    // Script and stylesheet dependencies, in load order
+    const dependencyTags = buildDependencyTags();
+
+    const head = `
+    <!DOCTYPE html>
+    <html lang="en">
+    <head>
+        <meta charset="UTF-8">
+        <meta name="viewport" content="width=device-width, initial-scale=1.0">
+        <script type="importmap">${toInlineScriptJson(importMap)}<\/script>
+        ${dependencyTags}
+        <style id="__preview-css">
+            ${cssContent}
+        </style>
+        <script>(${previewRuntime})();<\/script>
+    </head>
+    <body>
+        `;
+    const source = `${head}${rewriteAssetUrls(pageHtml, htmlFile.name)}
+        ${entryTag}
+    </body>
+    </html>
+    `;
+
+    // Inline scripts report lines of the whole document; the HTML file starts after `head`
+    // (compiled pages have no such line mapping)
+    previewDocument = { html: getExtension(htmlFile.name) === 'html' ? htmlFile.name : null, lineOffset: head.split('\n').length - 1 };
+    consoleGroups = []; // Groups left open by the previous run
+    publishPreview(source);
+    cacheDependencies();
+}
+
+// All CSS in path order, so stylesheets in folders cascade predictably
+async function collectCss() {
+    const parts = await Promise.all(getStyleEntries().map(async f => {
+        const css = getExtension(f.name) === 'css' ? f.content : await compileStyle(f);
+        return css === null ? '' : rewriteAssetUrls(css, f.name) + '\n';
+    }));
+    return parts.join('');
+}
+
+// Injected into the preview frame as source, so it must not use anything from this file.
+// Console arguments are serialized into plain trees first: DOM nodes, functions and
+// cyclic objects can't go through postMessage as they are.
+function previewRuntime() {
+    const MAX_DEPTH = 4;
+    const MAX_ENTRIES = 100;
+    const timers = {};
+    const counters = {};
+    let callerLocation = null;
+    const post = (message) => window.parent.postMessage({ type: 'console', ...message }, '*');
+
+    // Module URLs are data: URLs holding the whole source (see buildModuleMap);
+    // stacks name them by their import map key instead
+    const moduleNames = {};
+    try {
+        const { imports } = JSON.parse(document.querySelector('script[type="importmap"]').textContent);
+        Object.entries(imports).forEach(([specifier, url]) => moduleNames[url] = specifier);
+    } catch (e) {
+        // No import map, no modules
+    }
+    const cleanStack = (stack) => String(stack || '').replace(/data:text\/javascript[^\n]*?(?=:\d+:\d+\)?$)/gm, url => moduleNames[url] || '<module>');
+
+    // { url, line, column } of the first frame in a project module or the document
+    const FRAME_LOCATION = /(project:\/[^\s()]+|about:srcdoc):(\d+):(\d+)/;
+    function locate(stack, skip = 0) {
+        const frames = cleanStack(stack).split('\n').filter(frame => FRAME_LOCATION.test(frame));
+        const match = FRAME_LOCATION.exec(frames[skip] || '');
+        return match ? { url: match[1], line: Number(match[2]), column: Number(match[3]) } : null;
+    }
+
+    function describeNode(node) {
+        if (node.nodeType === Node.TEXT_NODE) return JSON.stringify(node.textContent);
+        if (node.nodeType !== Node.ELEMENT_NODE) return node.nodeName;
+        const attributes = [...node.attributes].map(attr => ` ${attr.name}="${attr.value}"`).join('');
+        return `<${node.localName}${attributes}>`;
+    }
+
+    // { type, value } for primitives; objects add { kind, entries: [[key, value]], more }
+    function serialize(value, depth = 0, seen = new Set()) {
+        const type = typeof value;
+        if (value === null) return { type: 'null', value: 'null' };
+        if (type === 'undefined') return { type, value: 'undefined' };
+        if (type === 'string' || type === 'number' || type === 'boolean') return { type, value };
+        if (type === 'bigint') return { type, value: `${value}n` };
+        if (type === 'symbol') return { type, value: String(value) };
+        if (type === 'function') return { type, value: `ƒ ${value.name || 'anonymous'}()` };
+        if (value instanceof Error) {
+            let stack = cleanStack(value.stack);
+            if (stack.startsWith(String(value))) stack = stack.slice(String(value).length);
+            return { type: 'error', value: String(value), stack: stack.replace(/^\n/, ''), location: locate(value.stack) };
+        }
+        if (value instanceof Node) return { type: 'node', value: describeNode(value) };
+        if (value instanceof Date) return { type: 'date', value: isNaN(value) ? 'Invalid Date' : value.toISOString() };
+        if (value instanceof RegExp) return { type: 'regexp', value: String(value) };
+        if (seen.has(value)) return { type: 'circular', value: '[Circular]' };
+
+        let kind = 'object';
+        let label = value.constructor?.name || 'Object';
+        let pairs;
+        if (Array.isArray(value)) {
+            kind = 'array';
+            label = `Array(${value.length})`;
+            pairs = value.map((item, i) => [String(i), item]);
+        } else if (value instanceof Map) {
+            kind = 'map';
+            label = `Map(${value.size})`;
+            pairs = [...value].map(([key, item]) => [typeof key === 'string' ? JSON.stringify(key) : String(key), item]);
+        } else if (value instanceof Set) {
+            kind = 'set';
+            label = `Set(${value.size})`;
+            pairs = [...value].map((item, i) => [String(i), item]);
+        } else {
+            pairs = Object.keys(value).map(key => {
+                try {
+                    return [key, value[key]];
+                } catch (e) {
+                    return [key, e]; // Throwing getter
+                }
+            });
+        }
+        if (depth >= MAX_DEPTH) return { type: 'object', kind, value: label, entries: null };
+
+        seen.add(value);
+        const entries = pairs.slice(0, MAX_ENTRIES).map(([key, item]) => [key, serialize(item, depth + 1, seen)]);
+        seen.delete(value);
+        return { type: 'object', kind, value: label, entries, more: Math.max(0, pairs.length - MAX_ENTRIES) };
+    }
+
+    // printf-style substitutions (%s %d %i %f %o %O %c); objects are passed on as their own arguments
+    function format(args) {
+        if (typeof args[0] !== 'string' || !args[0].includes('%')) return args;
+        const rest = args.slice(1);
+        const objects = [];
+        const text = args[0].replace(/%([sdifoOc%])/g, (match, spec) => {
+            if (spec === '%') return '%';
+            if (rest.length === 0) return match;
+            const arg = rest.shift();
+            if (spec === 's') return String(arg);
+            if (spec === 'd' || spec === 'i') return String(parseInt(arg));
+            if (spec === 'f') return String(parseFloat(arg));
+            if (spec === 'o' || spec === 'O') objects.push(arg);
+            return ''; // %c styles are not supported
+        });
+        return [text, ...objects, ...rest];
+    }
+
+    const emit = (level, args, extra = {}) => post({ level, args: format(args).map(arg => serialize(arg)), location: callerLocation, ...extra });
+
+    function tabulate(data, columns) {
+        const rows = Object.keys(data).slice(0, MAX_ENTRIES).map(key => [key, data[key]]);
+        const isRecord = (row) => row !== null && typeof row === 'object';
+        const keys = columns || [...new Set(rows.flatMap(([, row]) => isRecord(row) ? Object.keys(row) : []))];
+        const hasValues = rows.some(([, row]) => !isRecord(row));
+        const cell = (value) => serialize(value, MAX_DEPTH);
+        return {
+            columns: ['(index)', ...keys, ...(hasValues ? ['Value'] : [])],
+            rows: rows.map(([key, row]) => [
+                { type: 'string', value: key },
+                ...keys.map(column => isRecord(row) && column in row ? cell(row[column]) : null),
+                ...(hasValues ? [isRecord(row) ? null : cell(row)] : [])
+            ])
+        };
+    }
+
+    const elapsed = (label) => `${label}: ${(performance.now() - timers[label]).toFixed(3)} ms`;
+
+    const handlers = {
+        log: (...args) => emit('log', args),
+        info: (...args) => emit('info', args),
+        debug: (...args) => emit('debug', args),
+        warn: (...args) => emit('warn', args),
+        error: (...args) => emit('error', args),
+        dir: (value) => emit('log', [value]),
+        trace: (...args) => emit('log', args.length ? args : ['console.trace'], { stack: cleanStack(new Error().stack).split('\n').slice(3).join('\n') }),
+        table: (data, columns) => data !== null && typeof data === 'object' ? post({ level: 'table', table: tabulate(data, columns) }) : emit('log', [data]),
+        group: (...args) => emit('group', args.length ? args : ['console.group']),
+        groupCollapsed: (...args) => emit('group', args.length ? args : ['console.groupCollapsed'], { collapsed: true }),
+        groupEnd: () => post({ level: 'groupEnd' }),
+        time: (label = 'default') => { timers[label] = performance.now(); },
+        timeLog: (label = 'default', ...args) => label in timers ? emit('log', [elapsed(label), ...args]) : emit('warn', [`Timer '${label}' does not exist`]),
+        timeEnd: (label = 'default') => {
+            if (!(label in timers)) return emit('warn', [`Timer '${label}' does not exist`]);
+            emit('log', [elapsed(label)]);
+            delete timers[label];
+        },
+        assert: (condition, ...args) => { if (!condition) emit('error', ['Assertion failed:', ...(args.length ? args : ['console.assert'])]); },
+        count: (label = 'default') => {
+            counters[label] = (counters[label] || 0) + 1;
+            emit('log', [`${label}: ${counters[label]}`]);
+        },
+        countReset: (label = 'default') => { counters[label] = 0; },
+        clear: () => post({ level: 'clear' })
+    };
+
+    Object.entries(handlers).forEach(([method, handler]) => {
+        const original = console[method];
+        console[method] = function (...args) {
+            try {
+                callerLocation = locate(new Error().stack, 1); // Frame 0 is this wrapper
+                handler(...args);
+            } catch (e) {
+                // Never break the page because its output couldn't be forwarded
+            }
+            return original?.apply(console, args);
+        };
+    });
+
+    // Module errors are not caught by a try/catch wrapper anymore
+    window.addEventListener('error', (e) => post({
+        level: 'error',
+        uncaught: 'error',
+        args: [serialize(e.error ?? e.message)],
+        location: e.filename ? { url: moduleNames[e.filename] || e.filename, line: e.lineno, column: e.colno } : null
+    }));
+    window.addEventListener('unhandledrejection', (e) => {
+        const reason = serialize(e.reason);
+        post({ level: 'error', uncaught: 'promise', args: [reason], location: reason.location || null });
+    });
+
+    // CSS hot reload (see hotReloadCss): the page keeps running
+    window.addEventListener('message', (e) => {
+        if (e.source !== window.parent || e.data?.type !== 'css-update') return;
+        document.getElementById('__preview-css').textContent = e.data.css;
+    });
+
+    // Lets the linter know what dependencies and scripts define globally
+    window.addEventListener('load', () => {
+        window.parent.postMessage({ type: 'preview-globals', names: Object.getOwnPropertyNames(window) }, '*');
+    });
+
+    // REPL: expressions typed into the console panel run in the page's global scope
+    window.addEventListener('message', (e) => {
+        if (e.source !== window.parent || e.data?.type !== 'console-eval') return;
+        let result;
+        try {
+            result = (0, eval)(e.data.code);
+        } catch (error) {
+            const value = serialize(error);
+            return post({ level: 'error', uncaught: 'error', args: [value], location: value.location || null });
+        }
+        if (typeof result?.then !== 'function') return post({ level: 'result', args: [serialize(result)] });
+        Promise.resolve(result).then(
+            (value) => post({ level: 'result', args: [serialize(value)], promise: true }),
+            (error) => {
+                const value = serialize(error);
+                post({ level: 'error', uncaught: 'promise', args: [value], location: value.location || null });
+            }
+        );
+    });
+}
+
+// --- DETACHED PREVIEW ---
+// preview.html shows the preview in its own window (e.g. on a second monitor). It gets every
+// build over a BroadcastChannel and sends the frame's console output back the same way.
+// Each editor tab has its own channel (the id survives reloads of the tab), passed to the window in its URL.
+const previewChannelId = sessionStorage.getItem('live-editor-preview-id') || Date.now().toString(36) + Math.random().toString(36).slice(2, 6);
+sessionStorage.setItem('live-editor-preview-id', previewChannelId);
+const previewChannel = new BroadcastChannel(`live-editor-preview:${previewChannelId}`);
+let previewDetached = false; // A preview.html window is connected
+let inlinePreviewShown = true;
+let lastPreviewSource = '';
+
+function popOutPreview() {
+    const popup = window.open(`preview.html#${previewChannelId}`, `live-editor-preview:${previewChannelId}`, 'width=1024,height=768');
+    if (!popup) return toast("Allow pop-ups to open the preview in a new window", "error");
+    popup.focus();
+}
+
+function publishPreview(source) {
+    lastPreviewSource = source;
+    if (inlinePreviewShown) document.getElementById('preview-frame').srcdoc = source;
+    if (previewDetached) {
+        const title = `Preview - ${getProjectMeta(currentProjectId)?.name || 'Untitled'}`;
+        previewChannel.postMessage({ type: 'document', source, title });
+    }
+}
+
+// While detached, the inline frame is blanked (it can be shown again) and the console
+// follows the detached window only, so output isn't duplicated
+function setPreviewDetached(detached) {
+    previewDetached = detached;
+    inlinePreviewShown = !detached;
+    document.getElementById('preview-detached').classList.toggle('hidden', !detached);
+    if (detached) {
+        document.getElementById('preview-frame').srcdoc = '';
+        if (lastPreviewSource) publishPreview(lastPreviewSource);
+    } else {
+        updatePreview();
+    }
+}
+
+function showInlinePreview() {
+    inlinePreviewShown = true;
+    document.getElementById('preview-detached').classList.add('hidden');
+    document.getElementById('preview-frame').srcdoc = lastPreviewSource;
+}
+
+function closeDetachedPreview() {
+    previewChannel.postMessage({ type: 'close' });
+    setPreviewDetached(false);
+}
+
+previewChannel.onmessage = (e) => {
+    if (e.data.type === 'ready' && !previewDetached) setPreviewDetached(true);
+    else if (e.data.type === 'closed' && previewDetached) setPreviewDetached(false);
+    else if (e.data.type === 'console' && previewDetached) handleConsoleMessage(e.data);
+    else if (e.data.type === 'preview-globals') setPreviewGlobals(e.data.names);
+};
+previewChannel.postMessage({ type: 'ping' }); // Reconnect to a window left open before a reload
+
+// --- DEVICE PREVIEW ---
+// The preview frame either fills the pane ("responsive") or is rendered at a device's
+// CSS size, scaled down to fit when the pane is smaller
+const DEVICE_PRESETS = {
+    responsive: { label: 'Responsive' },
+    'iphone-se': { label: 'iPhone SE', width: 375, height: 667 },
+    'iphone-15': { label: 'iPhone 15', width: 393, height: 852 },
+    'pixel-7': { label: 'Pixel 7', width: 412, height: 915 },
+    'ipad-mini': { label: 'iPad Mini', width: 768, height: 1024 },
+    'ipad-pro': { label: 'iPad Pro 12.9"', width: 1024, height: 1366 },
+    laptop: { label: 'Laptop', width: 1366, height: 768 },
+    desktop: { label: 'Desktop', width: 1920, height: 1080 },
+    custom: { label: 'Custom' }
+};
+
+function initDevicePreview() {
+    const select = document.getElementById('device-select');
+    select.innerHTML = Object.entries(DEVICE_PRESETS).map(([id, preset]) => `<option value="${id}">${preset.label}</option>`).join('');
+    new ResizeObserver(() => applyViewport()).observe(document.getElementById('preview-stage'));
+    applyViewport();
+}
+
+// CSS size of the emulated screen, or null when the frame fills the pane
+function getViewportSize() {
+    const { device, width, height, landscape } = appSettings.viewport;
+    if (device === 'responsive') return null;
+    const preset = DEVICE_PRESETS[device];
+    const size = preset?.width ? { width: preset.width, height: preset.height } : { width, height };
+    return landscape ? { width: size.height, height: size.width } : size;
+}
+
+function updateViewport(changes) {
+    appSettings.viewport = { ...appSettings.viewport, ...changes };
+    persistSettings();
+    applyViewport();
+}
+
+function setDevicePreset(device) {
+    updateViewport({ device });
+}
+
+// Typing a size always switches to a custom viewport
+function setViewportSize() {
+    const width = parseInt(document.getElementById('viewport-width').value);
+    const height = parseInt(document.getElementById('viewport-height').value);
+    if (!(width >= 50 && height >= 50)) return applyViewport();
+    updateViewport({ device: 'custom', width: Math.min(width, 4096), height: Math.min(height, 4096), landscape: false });
+}
+
+function rotateViewport() {
+    if (appSettings.viewport.device === 'responsive') return;
+    updateViewport({ landscape: !appSettings.viewport.landscape });
+}
+
+function setViewportZoom(zoom) {
+    updateViewport({ zoom: zoom === 'fit' ? 'fit' : Number(zoom) });
+}
+
+function applyViewport() {
+    const stage = document.getElementById('preview-stage');
+    const viewport = document.getElementById('preview-viewport');
+    const frame = document.getElementById('preview-frame');
+    const size = getViewportSize();
+    const { device, zoom } = appSettings.viewport;
+
+    stage.classList.toggle('device-mode', !!size);
+    document.getElementById('device-select').value = device;
+    document.getElementById('viewport-zoom').value = String(zoom);
+    document.getElementById('viewport-zoom').disabled = !size;
+    document.getElementById('viewport-rotate').disabled = !size;
+
+    let width = stage.clientWidth;
+    let height = stage.clientHeight;
+    let scale = 1;
+    if (size) {
+        const padding = 32;
+        width = size.width;
+        height = size.height;
+        scale = zoom === 'fit'
+            ? Math.min(1, (stage.clientWidth - padding) / width, (stage.clientHeight - padding) / height)
+            : zoom;
+        scale = Math.max(scale, 0.1);
+        viewport.style.width = `${width * scale}px`;
+        viewport.style.height = `${height * scale}px`;
+        frame.style.width = `${width}px`;
+        frame.style.height = `${height}px`;
+        frame.style.transform = `scale(${scale})`;
+    } else {
+        viewport.style.width = viewport.style.height = '';
+        frame.style.width = frame.style.height = frame.style.transform = '';
+    }
+
+    // Inputs follow the frame, except while being edited
+    [['viewport-width', width], ['viewport-height', height]].forEach(([id, value]) => {
+        const input = document.getElementById(id);
+        if (document.activeElement !== input) input.value = value;
+    });
+    document.getElementById('viewport-size').innerText = scale === 1 ? `${width} × ${height}` : `${width} × ${height} · ${Math.round(scale * 100)}%`;
+}
+
+// --- AUTO RUN ---
+// Edits rebuild the preview after `autoRunDelay` ms, on save, or only on demand (Ctrl+Enter).
+// When nothing but stylesheets changed, the new CSS is injected into the running page
+// instead, so its JS state (a canvas scene, a component tree...) survives a color tweak.
+const CSS_HOT_RELOAD_DELAY = 150;
+const pendingPreviewChanges = new Set();
+let autoRunTimer;
+
+function schedulePreviewRun(name) {
+    pendingPreviewChanges.add(name);
+    clearTimeout(autoRunTimer);
+    if (appSettings.autoRun !== 'delay') return;
+    const delay = isCssOnlyChange() ? Math.min(CSS_HOT_RELOAD_DELAY, appSettings.autoRunDelay) : appSettings.autoRunDelay;
+    autoRunTimer = setTimeout(runPendingChanges, delay);
+}
+
+function isCssOnlyChange() {
+    return pendingPreviewChanges.size > 0 && [...pendingPreviewChanges].every(isStyleFile);
+}
+
+function runPendingChanges() {
+    clearTimeout(autoRunTimer);
+    if (pendingPreviewChanges.size === 0) return;
+    if (!isCssOnlyChange()) return updatePreview();
+    pendingPreviewChanges.clear();
+    hotReloadCss();
+}
+
+async function hotReloadCss() {
+    clearPreviewMarkers(isStyleFile);
+    let css;
+    try {
+        css = await collectCss();
+    } catch (e) {
+        console.error(e);
+        return toast("Failed to load a compiler", "error");
+    }
+    const message = { type: 'css-update', css };
+    document.getElementById('preview-frame').contentWindow?.postMessage(message, '*');
+    if (previewDetached) previewChannel.postMessage(message);
+}
+
+// Run button and Ctrl+Enter: always a full rebuild
+function runPreview() {
+    clearTimeout(autoRunTimer);
+    updatePreview();
+}
+
+// --- ES MODULES ---
+const MODULE_SCHEME = 'project:/';
+const STATIC_IMPORT_PATTERN = /(\b(?:import|export)\s*(?:[\w$*{}\s,]+?\s*from\s*)?)(['"])([^'"\n]+)\2/g;
+const DYNAMIC_IMPORT_PATTERN = /(\bimport\s*\(\s*)(['"])([^'"\n]+)\2/g;
+
+const MODULE_EXTENSIONS = ['.js', '.jsx', '.ts', '.tsx'];
+
+function isModuleFile(name) {
+    return MODULE_EXTENSIONS.some(ext => name.endsWith(ext));
+}
+
+function getEntryFile() {
+    return files[appSettings.entry] || Object.values(files).find(f => isModuleFile(f.name));
+}
+
+function toModuleSpecifier(name) {
+    return MODULE_SCHEME + name;
+}
+
+// JSON (also a valid JS literal) that can sit inside a <script> element: file names may
+// contain "</script>" or "<!--", so every < is escaped
+function toInlineScriptJson(value) {
+    return JSON.stringify(value).replace(/</g, '\\u003c');
+}
+
+// Resolves `x`, `./x`, `../x` and `/x` against the directory of `from`
+function resolveRelativePath(from, reference) {
+    const parts = reference.startsWith('/') ? [] : from.split('/').slice(0, -1);
+    reference.split('/').forEach(part => {
+        if (part === '..') parts.pop();
+        else if (part && part !== '.') parts.push(part);
+    });
+    return parts.join('/');
+}
+
+// Resolves an import specifier against the importing file, trying the usual extensions
+function resolveImport(from, specifier) {
+    if (!/^(\.{1,2})?\//.test(specifier)) return null;
+
+    const path = resolveRelativePath(from, specifier);
+
+    const candidates = [path];
+    MODULE_EXTENSIONS.forEach(ext => candidates.push(path + ext));
+    MODULE_EXTENSIONS.forEach(ext => candidates.push(`${path}/index${ext}`));
+    // TypeScript convention: `./utils.js` may point at `utils.ts`
+    if (path.endsWith('.js')) candidates.push(path.replace(/\.js$/, '.ts'), path.replace(/\.js$/, '.tsx'));
+
+    return candidates.find(candidate => files[candidate]) || null;
+}
+
+function rewriteImports(name, code) {
+    const rewrite = (match, prefix, quote, specifier) => {
+        const target = resolveImport(name, specifier);
+        return target ? `${prefix}${quote}${toModuleSpecifier(target)}${quote}` : match;
+    };
+    return code
+        .replace(STATIC_IMPORT_PATTERN, rewrite)
+        .replace(DYNAMIC_IMPORT_PATTERN, rewrite);
+}
+
+// Each module is inlined as a data: URL so the map has no dependency ordering (cycles work)
+function buildModuleMap(compiled = {}) {
+    const imports = {};
+    Object.values(files).forEach(f => {
+        if (!isModuleFile(f.name)) return;
+        if (needsTranspile(f.name) && !(f.name in compiled)) return; // Failed to compile, already reported
+        const code = compiled[f.name] ?? f.content;
+        const source = `${rewriteImports(f.name, code)}\n//# sourceURL=${toModuleSpecifier(f.name)}`;
+        imports[toModuleSpecifier(f.name)] = 'data:text/javascript;charset=utf-8,' + encodeURIComponent(source);
+    });
+    return imports;
+}
+
+// --- TRANSPILER ---
+const BABEL_URL = 'https://unpkg.com/@babel/standalone@7/babel.min.js';
+const TRANSPILE_PRESETS = {
+    jsx: ['react'],
+    ts: ['typescript'],
+    tsx: ['typescript', 'react']
+};
+const transpileCache = {};
+
+function needsTranspile(name) {
+    return getExtension(name) in TRANSPILE_PRESETS;
+}
+
+async function transpileFiles() {
+    const pending = Object.values(files).filter(f => needsTranspile(f.name));
+    if (pending.length === 0) return {};
+
+    const Babel = await loadLibrary(BABEL_URL, 'Babel');
+    const output = {};
+    pending.forEach(f => {
+        const cached = transpileCache[f.name];
+        if (cached && cached.source === f.content) {
+            output[f.name] = cached.code;
+            return;
+        }
+        try {
+            const { code } = Babel.transform(f.content, {
+                filename: f.name,
+                presets: TRANSPILE_PRESETS[getExtension(f.name)],
+                retainLines: true // Keep runtime line numbers pointing at the source
+            });
+            transpileCache[f.name] = { source: f.content, code };
+            output[f.name] = code;
+        } catch (e) {
+            const reason = e.message.split('\n')[0].replace(/^.*?: /, '').replace(/ \(\d+:\d+\)$/, '');
+            reportBuildError(f.name, e.loc?.line ?? 1, (e.loc?.column ?? 0) + 1, reason);
+        }
+    });
+    return output;
+}
+
+function reportBuildError(name, line, column, message) {
+    appendConsoleEntry('error', [message], { name, line, column });
+    setPreviewMarker({ name, line, column }, message);
+}
+
+// --- PREPROCESSORS ---
+// Stylesheets (.scss/.sass/.less) compile into the preview CSS and pages (.pug/.md) into its
+// HTML. Compilers load on first use; compile errors are reported like build errors.
+const SASS_URL = 'https://esm.sh/sass@1.77.8';
+const LESS_URL = 'https://cdn.jsdelivr.net/npm/less@4.2.0/dist/less.min.js';
+const MARKED_URL = 'https://cdn.jsdelivr.net/npm/marked@12.0.2/marked.min.js';
+const PUG_URL = 'https://esm.sh/pug@3.0.3';
+const STYLE_EXTENSIONS = ['css', 'scss', 'sass', 'less'];
+const PAGE_EXTENSIONS = ['html', 'pug', 'md'];
+const SASS_IMPORT_EXTENSIONS = ['.scss', '.sass', '.css'];
+const LESS_IMPORT_EXTENSIONS = ['.less', '.css'];
+const STYLE_IMPORT_PATTERN = /@(?:use|forward|import)\s+(?:\([^)]*\)\s*)?['"]([^'"]+)['"]/g;
+const styleCache = {};
+
+function isStyleFile(name) {
+    return STYLE_EXTENSIONS.includes(getExtension(name));
+}
+
+function isPageFile(name) {
+    return PAGE_EXTENSIONS.includes(getExtension(name));
+}
+
+// Prefer a root index page (index.html, then .pug, then .md), then the shallowest page
+function getPageFile() {
+    return PAGE_EXTENSIONS.map(ext => files[`index.${ext}`]).find(Boolean) || Object.values(files)
+        .filter(f => isPageFile(f.name))
+        .sort((a, b) => a.name.split('/').length - b.name.split('/').length)[0];
+}
+
+async function renderPage(file) {
+    const ext = getExtension(file.name);
+    if (ext === 'html') return file.content;
+    if (ext === 'md') {
+        const marked = await loadLibrary(MARKED_URL, 'marked');
+        return `<article class="markdown-body">${marked.parse(file.content)}</article>`;
+    }
+
+    const { default: pug } = await loadModule(PUG_URL);
+    try {
+        return pug.render(file.content, {
+            filename: file.name,
+            // include/extends read project files
+            plugins: [{
+                resolve: (path, source) => resolveRelativePath(source, path),
+                read: (name) => {
+                    if (!files[name]) throw new Error(`${name} does not exist`);
+                    return files[name].content;
+                }
+            }]
+        });
+    } catch (e) {
+        // Failed includes only mention their location in the message
+        const [, name = e.filename, line = e.line] = e.message.match(/at (\S+) line (\d+)/) || [];
+        reportBuildError(files[name] ? name : file.name, Number(line) || 1, e.column || 1, e.msg || e.message.split('\n')[0]);
+        return null;
+    }
+}
+
+// Sass/Less resolution: the extension is optional, Sass partials (_name) and index files
+function resolveStyleImport(from, reference, extensions) {
+    const path = resolveRelativePath(from, reference);
+    const partial = joinPath(getDirname(path), `_${getBasename(path)}`);
+    const candidates = [path];
+    extensions.forEach(ext => candidates.push(path + ext, partial + ext));
+    extensions.forEach(ext => candidates.push(`${path}/index${ext}`, `${path}/_index${ext}`));
+    return candidates.find(candidate => files[candidate] && !files[candidate].binary) || null;
+}
+
+// Stylesheets pulled in by another stylesheet (and Sass partials) only compile as part of it
+function getStyleEntries() {
+    const styles = Object.values(files).filter(f => isStyleFile(f.name) && !f.binary);
+    const imported = new Set();
+    styles.filter(f => getExtension(f.name) !== 'css').forEach(f => {
+        const extensions = getExtension(f.name) === 'less' ? LESS_IMPORT_EXTENSIONS : SASS_IMPORT_EXTENSIONS;
+        for (const match of f.content.matchAll(STYLE_IMPORT_PATTERN)) {
+            const target = resolveStyleImport(f.name, match[1], extensions);
+            if (target) imported.add(target);
+        }
+    });
+    return styles
+        .filter(f => !imported.has(f.name) && !getBasename(f.name).startsWith('_'))
+        .sort((a, b) => a.name.localeCompare(b.name));
+}
+
+// Compiled CSS, or null after reporting a compile error. Imports may change the
+// output, so results are cached against every preprocessor source.
+async function compileStyle(file) {
+    const signature = Object.values(files)
+        .filter(f => isStyleFile(f.name) && getExtension(f.name) !== 'css')
+        .map(f => `${f.name}\n${f.content}`)
+        .join('\0');
+    const cached = styleCache[file.name];
+    if (cached && cached.signature === signature) return cached.css;
+
+    const css = getExtension(file.name) === 'less' ? await compileLess(file) : await compileSass(file);
+    if (css !== null) styleCache[file.name] = { signature, css };
+    return css;
+}
+
+function toProjectUrl(name) {
+    return new URL(toModuleSpecifier(name));
+}
+
+function fromProjectUrl(url) {
+    return decodeURIComponent(url.pathname.slice(1));
+}
+
+async function compileSass(file) {
+    const sass = await loadModule(SASS_URL);
+    const syntaxOf = (name) => ({ sass: 'indented', css: 'css' })[getExtension(name)] || 'scss';
+    const importer = {
+        canonicalize(url, context) {
+            // Relative URLs arrive already resolved against the importing file (project:/...)
+            const from = context?.containingUrl ? fromProjectUrl(context.containingUrl) : file.name;
+            const reference = url.startsWith(MODULE_SCHEME) ? `/${decodeURIComponent(url.slice(MODULE_SCHEME.length))}` : url;
+            const name = resolveStyleImport(from, reference, SASS_IMPORT_EXTENSIONS);
+            return name ? toProjectUrl(name) : null;
+        },
+        load(url) {
+            const name = fromProjectUrl(url);
+            return { contents: files[name].content, syntax: syntaxOf(name) };
+        }
+    };
+
+    try {
+        return sass.compileString(file.content, { syntax: syntaxOf(file.name), url: toProjectUrl(file.name), importers: [importer] }).css;
+    } catch (e) {
+        const { url, start } = e.span || {};
+        reportBuildError(url?.protocol === 'project:' ? fromProjectUrl(url) : file.name, (start?.line ?? 0) + 1, (start?.column ?? 0) + 1, e.sassMessage || e.message);
+        return null;
+    }
+}
+
+async function compileLess(file) {
+    const less = await loadLibrary(LESS_URL, 'less');
+    class ProjectFileManager extends less.AbstractFileManager {
+        supports() {
+            return true;
+        }
+
+        // `directory` is the importing file's folder, with a trailing slash (or empty)
+        loadFile(reference, directory) {
+            const name = resolveStyleImport(`${directory}_`, reference, LESS_IMPORT_EXTENSIONS);
+            if (!name) return Promise.reject({ type: 'File', message: `'${reference}' wasn't found` });
+            return Promise.resolve({ filename: name, contents: files[name].content });
+        }
+    }
+    const importer = { install: (instance, pluginManager) => pluginManager.addFileManager(new ProjectFileManager()) };
+
+    try {
+        const { css } = await less.render(file.content, { filename: file.name, plugins: [importer] });
+        return css;
+    } catch (e) {
+        reportBuildError(files[e.filename] ? e.filename : file.name, e.line ?? 1, (e.column ?? 0) + 1, e.message);
+        return null;
+    }
+}
+
+// --- DEPENDENCIES ---
+// Project libraries, in load order. npm packages are pinned to an exact version:
+// { name, version, kind, path? } where kind is 'module' (import map entry, served by esm.sh),
+// 'script' or 'style' (tags, served by jsDelivr, optionally a file inside the package);
+// anything else is a plain { url, kind }.
+const ESM_CDN = 'https://esm.sh';
+const NPM_CDN = 'https://cdn.jsdelivr.net/npm';
+const NPM_SEARCH_URL = 'https://registry.npmjs.org/-/v1/search';
+const PACKAGE_VERSION_URL = 'https://data.jsdelivr.com/v1/packages/npm';
+const DEPENDENCY_ICONS = { module: 'package', script: 'file-json', style: 'file-type' };
+const PACKAGE_SPEC_PATTERN = /^((?:@[^/@\s]+\/)?[^/@\s]+)(?:@([^/\s]+))?(?:\/(\S+))?$/;
+let dependencySearchTimer;
+
+function getDependencyUrl(dep) {
+    if (dep.url) return dep.url;
+    if (dep.kind === 'module') return `${ESM_CDN}/${dep.name}@${dep.version}${dep.path ? `/${dep.path}` : ''}`;
+    return `${NPM_CDN}/${dep.name}@${dep.version}${dep.path ? `/${dep.path}` : ''}`;
+}
+
+function getDependencyLabel(dep) {
+    return dep.url || `${dep.name}@${dep.version}${dep.path ? `/${dep.path}` : ''}`;
+}
+
+function isSameDependency(a, b) {
+    return a.url ? a.url === b.url : a.name === b.name && a.path === b.path && a.kind === b.kind;
+}
+
+function guessDependencyKind(path, fallback) {
+    if (/\.css$/i.test(path || '')) return 'style';
+    return fallback;
+}
+
+// Older projects and share links stored a list of CDN URLs
+function migrateCdns(cdns = []) {
+    return cdns.map(url => ({ url, kind: guessDependencyKind(url, 'script') }));
+}
+
+function buildDependencyTags() {
+    return appSettings.dependencies.filter(dep => dep.kind !== 'module').map(dep => {
+        const url = getDependencyUrl(dep);
+        if (dep.kind === 'style') return `<link rel="stylesheet" href="${url}">`;
+        return `<script src="${url}"><\/script>`;
+    }).join('\n');
+}
+
+// `import x from 'pkg'` and `import y from 'pkg/sub'` both resolve through esm.sh
+function buildDependencyImports() {
+    const imports = {};
+    appSettings.dependencies.filter(dep => dep.kind === 'module').forEach(dep => {
+        const specifier = dep.path ? `${dep.name}/${dep.path}` : dep.name;
+        imports[specifier] = getDependencyUrl(dep);
+        if (!dep.path) imports[`${dep.name}/`] = `${getDependencyUrl(dep)}/`;
+    });
+    return imports;
+}
+
+// Resolves a version range or tag ('latest', '^18') to an exact version
+async function resolvePackageVersion(name, range = 'latest') {
+    const response = await fetch(`${PACKAGE_VERSION_URL}/${name}/resolved?specifier=${encodeURIComponent(range)}`);
+    if (!response.ok) throw new Error(`Package ${name} was not found`);
+    const { version } = await response.json();
+    if (!version) throw new Error(`No version of ${name} matches ${range}`);
+    return version;
+}
+
+async function addDependency(spec, kind = document.getElementById('dependency-kind').value) {
+    spec = spec.trim();
+    if (!spec) return;
+
+    let dep;
+    if (/^https?:\/\//i.test(spec)) {
+        dep = { url: spec, kind: guessDependencyKind(spec, kind === 'module' ? 'script' : kind) };
+    } else {
+        const match = spec.match(PACKAGE_SPEC_PATTERN);
+        if (!match) return toast("Use name@version or a URL", "error");
+        const [, name, range, path] = match;
+        try {
+            dep = { name, version: await resolvePackageVersion(name, range), kind: guessDependencyKind(path, kind) };
+        } catch (e) {
+            return toast(e.message, "error");
+        }
+        if (path) dep.path = path;
+    }
+
+    // Adding a package again changes its version but keeps its place in the load order
+    const index = appSettings.dependencies.findIndex(existing => isSameDependency(existing, dep));
+    if (index === -1) appSettings.dependencies.push(dep);
+    else appSettings.dependencies[index] = dep;
+
+    document.getElementById('dependency-input').value = '';
+    hideDependencyResults();
+    dependenciesChanged();
+    toast(`Added ${getDependencyLabel(dep)}`);
+}
+
+function removeDependency(index) {
+    appSettings.dependencies.splice(index, 1);
+    dependenciesChanged();
+}
+
+function moveDependency(index, offset) {
+    const target = index + offset;
+    if (target < 0 || target >= appSettings.dependencies.length) return;
+    const [dep] = appSettings.dependencies.splice(index, 1);
+    appSettings.dependencies.splice(target, 0, dep);
+    dependenciesChanged();
+}
+
+// Suggests the latest version; any range or tag is accepted and pinned
+async function changeDependencyVersion(index) {
+    const dep = appSettings.dependencies[index];
+    let latest = dep.version;
+    try {
+        latest = await resolvePackageVersion(dep.name);
+    } catch (e) {
+        console.error(e);
+    }
+    const range = prompt(`Version of ${dep.name} (currently ${dep.version}):`, latest);
+    if (!range || range === dep.version) return;
+
+    try {
+        dep.version = await resolvePackageVersion(dep.name, range.trim());
+    } catch (e) {
+        return toast(e.message, "error");
+    }
+    dependenciesChanged();
+    toast(`${dep.name} is now ${dep.version}`);
+}
+
+function dependenciesChanged() {
+    renderDependencies();
+    saveProject();
+    updatePreview();
+}
+
+function renderDependencies() {
+    const list = document.getElementById('dependency-list');
+    const deps = appSettings.dependencies;
+    document.getElementById('dependency-count').innerText = deps.length || '';
+    if (deps.length === 0) {
+        list.innerHTML = `<div class="px-4 py-2 text-xs text-gray-500">No dependencies yet</div>`;
+        return;
+    }
+
+    list.innerHTML = deps.map((dep, index) => `
+        <div class="flex items-center justify-between pl-4 pr-2 py-0.5 text-sm text-gray-300 hover:bg-[#2a2d2e] group" title="${escapeHtml(getDependencyUrl(dep))}">
+            <div class="flex items-center min-w-0">
+                <i data-lucide="${dep.url ? 'link' : DEPENDENCY_ICONS[dep.kind]}" class="w-3.5 h-3.5 text-gray-400 mr-2 shrink-0"></i>
+                <span class="truncate">${escapeHtml(dep.url ? dep.url.replace(/^https?:\/\//, '') : dep.name)}</span>
+                ${dep.url ? '' : `<span class="ml-1.5 text-[10px] text-gray-500 shrink-0">${escapeHtml(dep.version)}</span>`}
+            </div>
+            <div class="embed-hidden flex items-center opacity-0 group-hover:opacity-100 shrink-0">
+                <button onclick="moveDependency(${index}, -1)" class="hover:text-white p-0.5 disabled:opacity-30" title="Load Earlier" ${index === 0 ? 'disabled' : ''}>
+                    <i data-lucide="arrow-up" class="w-3 h-3"></i>
+                </button>
+                <button onclick="moveDependency(${index}, 1)" class="hover:text-white p-0.5 disabled:opacity-30" title="Load Later" ${index === deps.length - 1 ? 'disabled' : ''}>
+                    <i data-lucide="arrow-down" class="w-3 h-3"></i>
+                </button>
+                ${dep.url ? '' : `<button onclick="changeDependencyVersion(${index})" class="hover:text-blue-400 p-0.5" title="Change Version">
+                    <i data-lucide="arrow-up-circle" class="w-3 h-3"></i>
+                </button>`}
+                <button onclick="removeDependency(${index})" class="hover:text-red-400 p-0.5" title="Remove">
+                    <i data-lucide="trash-2" class="w-3 h-3"></i>
+                </button>
+            </div>
+        </div>
+    `).join('');
+    lucide.createIcons();
+}
+
+function toggleDependenciesPanel() {
+    const body = document.getElementById('dependencies-body');
+    body.classList.toggle('hidden');
+    document.getElementById('dependencies-chevron').style.transform = body.classList.contains('hidden') ? 'rotate(-90deg)' : '';
+}
+
+// npm search while typing a bare package name
+function searchDependencies(query) {
+    clearTimeout(dependencySearchTimer);
+    query = query.trim();
+    if (query.length < 2 || !PACKAGE_SPEC_PATTERN.test(query) || query.slice(1).includes('@')) return hideDependencyResults();
+
+    dependencySearchTimer = setTimeout(async () => {
+        let objects;
+        try {
+            const response = await fetch(`${NPM_SEARCH_URL}?text=${encodeURIComponent(query)}&size=8`);
+            ({ objects } = await response.json());
+        } catch (e) {
+            return console.error(e);
+        }
+        if (document.getElementById('dependency-input').value.trim() !== query) return; // Typed on meanwhile
+        showDependencyResults(objects.map(o => o.package));
+    }, 300);
+}
+
+function showDependencyResults(packages) {
+    const results = document.getElementById('dependency-results');
+    if (packages.length === 0) return hideDependencyResults();
+    results.innerHTML = '';
+    packages.forEach(pkg => {
+        const item = document.createElement('div');
+        item.className = 'px-2 py-1 cursor-pointer hover:bg-[#094771]';
+        item.innerHTML = `
+            <div class="flex justify-between text-xs"><span class="text-white truncate">${escapeHtml(pkg.name)}</span><span class="text-gray-500 ml-2">${escapeHtml(pkg.version)}</span></div>
+            <div class="text-[10px] text-gray-500 truncate">${escapeHtml(pkg.description || '')}</div>
+        `;
+        item.title = pkg.description || '';
+        // mousedown runs before the input's blur hides the list
+        item.onmousedown = (e) => {
+            e.preventDefault();
+            addDependency(`${pkg.name}@${pkg.version}`);
+        };
+        results.appendChild(item);
+    });
+    results.classList.remove('hidden');
+}
+
+function hideDependencyResults() {
+    clearTimeout(dependencySearchTimer);
+    document.getElementById('dependency-results').classList.add('hidden');
+}
+
+function handleDependencyKey(e) {
+    if (e.key === 'Enter') addDependency(e.target.value);
+    if (e.key === 'Escape') hideDependencyResults();
+}
+
+// Exported zips carry the project settings, so importing one brings its dependencies back.
+// The dot folder keeps the manifest apart from the project's own files.
+const PROJECT_MANIFEST = '.live-editor/project.json';
+
+async function applyProjectManifest(blob) {
+    let manifest;
+    try {
+        manifest = JSON.parse(await blob.text());
+    } catch (e) {
+        return console.error(e);
+    }
+    let incoming;
+    try {
+        incoming = validateProjectSettings(manifest.settings || {}).dependencies;
+    } catch (e) {
+        return toast(`${PROJECT_MANIFEST}: ${e.message}`, "error");
+    }
+    const added = incoming.filter(dep => !appSettings.dependencies.some(existing => isSameDependency(existing, dep)));
+    if (added.length === 0) return;
+    appSettings.dependencies.push(...added);
+    dependenciesChanged();
+    toast(`Added ${added.length} dependenc${added.length === 1 ? 'y' : 'ies'}`);
+}
+
+// --- LINTING ---
+// JavaScript is checked with ESLint (loaded on first use), HTML with a small structural
+// checker and CSS by Monaco's own validator. Rules are per project: `appSettings.lint.rules`
+// overrides the defaults below ('off' | 'warn' | 'error'); CSS rules are Monaco's lint
+// options prefixed with "css/".
+const ESLINT_URL = 'https://esm.sh/eslint-linter-browserify@9.39.1';
+const LINT_DELAY = 400;
+const DEFAULT_LINT_RULES = {
+    'no-undef': 'error',
+    'no-unused-vars': 'warn',
+    'no-const-assign': 'error',
+    'no-dupe-keys': 'error',
+    'no-redeclare': 'error',
+    'no-unreachable': 'warn',
+    'no-debugger': 'warn',
+    'no-empty': 'warn',
+    'no-self-assign': 'warn',
+    'use-isnan': 'error',
+    'valid-typeof': 'error',
+    'css/duplicateProperties': 'warn',
+    'css/emptyRules': 'warn',
+    'css/unknownProperties': 'warn',
+    'css/hexColorLength': 'error',
+    'css/argumentsInColorFunction': 'error',
+    'css/propertyIgnoredDueToDisplay': 'warn',
+    'css/important': 'off',
+    'css/zeroUnits': 'off',
+    'html/unclosed-tag': 'error',
+    'html/unexpected-closing-tag': 'error',
+    'html/duplicate-id': 'warn',
+    'html/duplicate-attribute': 'warn'
+};
+const LINT_SCRIPT_EXTENSIONS = ['js', 'mjs', 'cjs', 'jsx'];
+const LINT_SEVERITIES = { warn: 'Warning', error: 'Error' };
+const CSS_LINT_SEVERITIES = { off: 'ignore', warn: 'warning', error: 'error' };
+const VOID_ELEMENTS = new Set(['area', 'base', 'br', 'col', 'embed', 'hr', 'img', 'input', 'link', 'meta', 'source', 'track', 'wbr']);
+// End tags HTML lets you leave out
+const OPTIONAL_END_TAGS = new Set(['html', 'head', 'body', 'p', 'li', 'dt', 'dd', 'option', 'optgroup', 'tr', 'td', 'th', 'thead', 'tbody', 'tfoot', 'colgroup', 'caption', 'rt', 'rp']);
+const RAW_TEXT_ELEMENTS = new Set(['script', 'style', 'textarea', 'title']);
+const HTML_TOKEN_PATTERN = /<!--[\s\S]*?(?:-->|$)|<!doctype[^>]*>|<\/?([a-zA-Z][\w:-]*)((?:"[^"]*"|'[^']*'|[^'">])*)>/gi;
+const HTML_ATTRIBUTE_PATTERN = /([^\s=/>"']+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s>]+)))?/g;
+let pendingLints = new Set();
+let lintTimer;
+let eslintLinter = null;
+let lintErrorShown = '';
+// Globals of the preview page (browser API plus whatever dependencies and scripts define),
+// reported by previewRuntime(); until then, those of an empty page
+let previewGlobals = null;
+
+function getLintRules() {
+    return { ...DEFAULT_LINT_RULES, ...appSettings.lint.rules };
+}
+
+function initLinting() {
+    monaco.editor.onDidChangeMarkers(() => scheduleProblemsRender());
+    applyCssLintOptions();
+    scheduleLint();
+}
+
+// Lints `name`, or every file
+function scheduleLint(name) {
+    if (name === undefined) Object.keys(models).forEach(file => pendingLints.add(file));
+    else pendingLints.add(name);
+    clearTimeout(lintTimer);
+    lintTimer = setTimeout(runLint, LINT_DELAY);
+}
+
+async function runLint() {
+    const names = [...pendingLints];
+    pendingLints = new Set();
+    for (const name of names) {
+        const model = models[name];
+        if (!model || model.isDisposed()) continue;
+        const ext = getExtension(name);
+        let markers = [];
+        if (appSettings.lint.enabled && LINT_SCRIPT_EXTENSIONS.includes(ext)) markers = await lintScript(model, ext === 'jsx');
+        if (appSettings.lint.enabled && (ext === 'html' || ext === 'htm')) markers = lintHtml(model);
+        if (markers && !model.isDisposed()) monaco.editor.setModelMarkers(model, 'lint', markers);
+    }
+}
+
+function applyCssLintOptions() {
+    if (!window.monaco) return;
+    const rules = getLintRules();
+    const lint = {};
+    Object.entries(rules).filter(([rule]) => rule.startsWith('css/')).forEach(([rule, level]) => {
+        lint[rule.slice(4)] = CSS_LINT_SEVERITIES[level] || 'ignore';
+    });
+    const options = { validate: appSettings.lint.enabled, lint };
+    ['cssDefaults', 'scssDefaults', 'lessDefaults'].forEach(language => monaco.languages.css[language].setOptions(options));
+}
+
+function getBrowserGlobals() {
+    if (previewGlobals) return previewGlobals;
+    const frame = document.createElement('iframe');
+    frame.style.display = 'none';
+    document.body.appendChild(frame);
+    previewGlobals = Object.getOwnPropertyNames(frame.contentWindow);
+    frame.remove();
+    return previewGlobals;
+}
+
+function setPreviewGlobals(names) {
+    const changed = !previewGlobals || names.length !== previewGlobals.length || names.some((name, i) => name !== previewGlobals[i]);
+    previewGlobals = names;
+    if (changed) Object.keys(models).filter(name => LINT_SCRIPT_EXTENSIONS.includes(getExtension(name))).forEach(scheduleLint);
+}
+
+// Core ESLint doesn't see JSX as a use of a variable: <Foo /> uses Foo (and React, for the classic runtime)
+const jsxLintPlugin = {
+    rules: {
+        'jsx-uses-vars': {
+            create(context) {
+                const markUsed = (name, node) => context.sourceCode.markVariableAsUsed(name, node);
+                return {
+                    JSXOpeningElement(node) {
+                        let name = node.name;
+                        while (name.type === 'JSXMemberExpression') name = name.object;
+                        if (name.type === 'JSXIdentifier' && !/^[a-z]/.test(name.name)) markUsed(name.name, node);
+                        markUsed('React', node);
+                    },
+                    JSXOpeningFragment(node) {
+                        markUsed('React', node);
+                    }
+                };
+            }
+        }
+    }
+};
+
+// Markers for a JS model, or null when ESLint isn't available
+async function lintScript(model, jsx) {
+    if (!eslintLinter) {
+        try {
+            const { Linter } = await loadModule(ESLINT_URL);
+            eslintLinter = eslintLinter || new Linter();
+        } catch (e) {
+            console.error(e);
+            return null; // Offline: keep whatever was reported before
+        }
+    }
+
+    const globals = {};
+    getBrowserGlobals().forEach(name => globals[name] = 'readonly');
+    appSettings.lint.globals.forEach(name => globals[name] = 'writable');
+    const rules = { 'editor/jsx-uses-vars': 'error' };
+    Object.entries(getLintRules()).filter(([rule]) => !rule.includes('/')).forEach(([rule, level]) => rules[rule] = level);
+
+    let messages;
+    try {
+        messages = eslintLinter.verify(model.getValue(), [{
+            plugins: { editor: jsxLintPlugin },
+            languageOptions: { ecmaVersion: 'latest', sourceType: 'module', globals, parserOptions: { ecmaFeatures: { jsx } } },
+            rules
+        }]);
+    } catch (e) {
+        // Invalid rule configuration: report it once, not for every file
+        if (lintErrorShown !== e.message) toast(`Lint rules: ${e.message}`, "error");
+        lintErrorShown = e.message;
+        return null;
+    }
+
+    return messages.map(m => ({
+        severity: m.severity === 2 ? monaco.MarkerSeverity.Error : monaco.MarkerSeverity.Warning,
+        message: m.message,
+        source: 'eslint',
+        code: m.ruleId || undefined,
+        startLineNumber: m.line || 1,
+        startColumn: m.column || 1,
+        endLineNumber: m.endLine || m.line || 1,
+        endColumn: m.endColumn || (m.column || 1) + 1
+    }));
+}
+
+// Unclosed and stray tags, duplicate ids and attributes
+function lintHtml(model) {
+    const content = model.getValue();
+    const rules = getLintRules();
+    const markers = [];
+    const report = (rule, index, length, message) => {
+        const level = rules[`html/${rule}`];
+        if (!LINT_SEVERITIES[level]) return;
+        const start = model.getPositionAt(index);
+        const end = model.getPositionAt(index + length);
+        markers.push({
+            severity: monaco.MarkerSeverity[LINT_SEVERITIES[level]],
+            message,
+            source: 'html',
+            code: rule,
+            startLineNumber: start.lineNumber,
+            startColumn: start.column,
+            endLineNumber: end.lineNumber,
+            endColumn: end.column
+        });
+    };
+
+    const open = []; // { name, index, length }
+    const ids = {};
+    HTML_TOKEN_PATTERN.lastIndex = 0;
+    let token;
+    while ((token = HTML_TOKEN_PATTERN.exec(content))) {
+        const [text, rawName, attributes = ''] = token;
+        if (!rawName) continue; // Comment or doctype
+        const name = rawName.toLowerCase();
+        const nameLength = rawName.length + (text[1] === '/' ? 2 : 1);
+
+        if (text[1] === '/') {
+            const match = open.map(tag => tag.name).lastIndexOf(name);
+            if (match === -1) {
+                report('unexpected-closing-tag', token.index, text.length, `Unexpected closing tag </${name}>`);
+                continue;
+            }
+            open.splice(match).slice(1).forEach(tag => {
+                if (!OPTIONAL_END_TAGS.has(tag.name)) report('unclosed-tag', tag.index, tag.length, `<${tag.name}> is not closed before </${name}>`);
+            });
+            continue;
+        }
+
+        const seen = new Set();
+        for (const attribute of attributes.matchAll(HTML_ATTRIBUTE_PATTERN)) {
+            const attributeName = attribute[1].toLowerCase();
+            const index = token.index + nameLength + attribute.index;
+            if (seen.has(attributeName)) report('duplicate-attribute', index, attribute[1].length, `Duplicate attribute "${attributeName}"`);
+            seen.add(attributeName);
+
+            const value = attribute[2] ?? attribute[3] ?? attribute[4];
+            if (attributeName !== 'id' || !value) continue;
+            if (ids[value]) report('duplicate-id', index, attribute[0].length, `Duplicate id "${value}" (first used on line ${ids[value]})`);
+            else ids[value] = model.getPositionAt(index).lineNumber;
+        }
+
+        if (VOID_ELEMENTS.has(name) || /\/\s*$/.test(attributes)) continue;
+        if (RAW_TEXT_ELEMENTS.has(name)) {
+            // Their content isn't markup: skip to the end tag
+            const close = content.toLowerCase().indexOf(`</${name}`, HTML_TOKEN_PATTERN.lastIndex);
+            if (close === -1) report('unclosed-tag', token.index, nameLength, `<${name}> is not closed`);
+            HTML_TOKEN_PATTERN.lastIndex = close === -1 ? content.length : content.indexOf('>', close) + 1 || content.length;
+            continue;
+        }
+        open.push({ name, index: token.index, length: nameLength });
+    }
+    open.filter(tag => !OPTIONAL_END_TAGS.has(tag.name)).forEach(tag => report('unclosed-tag', tag.index, tag.length, `<${tag.name}> is not closed`));
+    return markers;
+}
+
+// --- PROBLEMS ---
+// Every marker on a project file: lint, TypeScript, CSS, build and runtime errors
+let problemsTimer;
+
+function getProblems() {
+    return monaco.editor.getModelMarkers({})
+        .map(marker => ({ ...marker, name: marker.resource.path.slice(1) }))
+        .filter(marker => models[marker.name] && marker.severity >= monaco.MarkerSeverity.Warning)
+        .sort((a, b) => a.name.localeCompare(b.name) || b.severity - a.severity || a.startLineNumber - b.startLineNumber || a.startColumn - b.startColumn);
+}
+
+function scheduleProblemsRender() {
+    clearTimeout(problemsTimer);
+    problemsTimer = setTimeout(renderProblems, 100);
+}
+
+function renderProblems() {
+    if (!window.monaco) return;
+    const problems = getProblems();
+    const errors = problems.filter(p => p.severity === monaco.MarkerSeverity.Error).length;
+    document.getElementById('error-count').innerText = errors;
+    document.getElementById('warning-count').innerText = problems.length - errors;
+    document.getElementById('problems-count').innerText = problems.length || '';
+    if (document.getElementById('problems-panel').classList.contains('hidden')) return;
+
+    const list = document.getElementById('problems-list');
+    list.innerHTML = '';
+    if (problems.length === 0) {
+        list.innerHTML = `<div class="px-3 py-2 text-gray-500">No problems have been detected in the project.</div>`;
+        return;
+    }
+    let currentFile = null;
+    problems.forEach(problem => {
+        if (problem.name !== currentFile) {
+            currentFile = problem.name;
+            const { icon, color } = getFileIcon(problem.name);
+            const header = document.createElement('div');
+            header.className = 'flex items-center px-2 pt-1.5 pb-0.5 text-gray-300';
+            header.innerHTML = `
+                <i data-lucide="${icon}" class="w-3.5 h-3.5 ${color} mr-1.5 shrink-0"></i>
+                <span>${escapeHtml(getBasename(problem.name))}</span>
+                <span class="ml-1.5 text-gray-500 truncate">${escapeHtml(getDirname(problem.name))}</span>
+            `;
+            list.appendChild(header);
+        }
+        const isError = problem.severity === monaco.MarkerSeverity.Error;
+        const row = document.createElement('div');
+        row.className = 'flex items-start pl-6 pr-2 py-0.5 cursor-pointer hover:bg-[#2a2d2e]';
+        row.innerHTML = `<i data-lucide="${isError ? 'x-circle' : 'alert-triangle'}" class="w-3.5 h-3.5 mr-1.5 mt-px shrink-0 ${isError ? 'text-red-400' : 'text-yellow-400'}"></i>`;
+        const message = document.createElement('span');
+        message.className = 'text-gray-300 whitespace-pre-wrap';
+        message.textContent = problem.message;
+        const source = document.createElement('span');
+        source.className = 'ml-2 text-gray-500 whitespace-nowrap';
+        const code = typeof problem.code === 'object' ? problem.code?.value : problem.code;
+        source.textContent = `${problem.source || problem.owner}${code ? `(${code})` : ''} [Ln ${problem.startLineNumber}, Col ${problem.startColumn}]`;
+        row.append(message, source);
+        row.onclick = () => revealSourceLocation({ name: problem.name, line: problem.startLineNumber, column: problem.startColumn });
+        list.appendChild(row);
+    });
+    lucide.createIcons();
+}
+
+function toggleProblemsPanel() {
+    document.getElementById('problems-panel').classList.toggle('hidden');
+    renderProblems();
+}
+
+// --- VERSION HISTORY ---
+// Snapshots hold the text files of a project. Binary assets are not copied into
+// every snapshot; restoring a whole project leaves them untouched.
+const AUTO_SNAPSHOT_INTERVAL = 5 * 60 * 1000;
+const MAX_AUTO_SNAPSHOTS = 50;
+let lastSnapshotSignature = null;
+let historySnapshots = [];
+let selectedSnapshot = null;
+let selectedHistoryFile = null;
+let diffEditor = null;
+
+function captureTextFiles() {
+    const captured = {};
+    Object.values(files).filter(f => !f.binary).forEach(f => {
+        captured[f.name] = { name: f.name, language: f.language, content: f.content };
+    });
+    return captured;
+}
+
+// Manual checkpoints get a label; automatic snapshots are skipped when nothing changed
+async function takeSnapshot(label = null) {
+    if (!currentProjectId) return;
+    const snapshotFiles = captureTextFiles();
+    const signature = JSON.stringify(snapshotFiles);
+    if (!label && signature === lastSnapshotSignature) return;
+
+    await withStores(['snapshots'], 'readwrite', snapshotStore => {
+        snapshotStore.add({ projectId: currentProjectId, createdAt: Date.now(), label, files: snapshotFiles, folders: [...folders] });
+    });
+    lastSnapshotSignature = signature;
+    await pruneAutoSnapshots(currentProjectId);
+}
+
+async function pruneAutoSnapshots(projectId) {
+    const snapshots = await listSnapshots(projectId);
+    const stale = snapshots.filter(s => !s.label).slice(MAX_AUTO_SNAPSHOTS);
+    if (stale.length === 0) return;
+    await withStores(['snapshots'], 'readwrite', snapshotStore => stale.forEach(s => snapshotStore.delete(s.id)));
+}
+
+// Newest first
+async function listSnapshots(projectId) {
+    const snapshots = await withStores(['snapshots'], 'readonly', snapshotStore => snapshotStore.index('projectId').getAll(projectId));
+    return snapshots.sort((a, b) => b.createdAt - a.createdAt || b.id - a.id);
+}
+
+function deleteProjectSnapshots(snapshotStore, projectId) {
+    snapshotStore.index('projectId').openCursor(IDBKeyRange.only(projectId)).onsuccess = (e) => {
+        const cursor = e.target.result;
+        if (!cursor) return;
+        cursor.delete();
+        cursor.continue();
+    };
+}
+
+async function createCheckpoint() {
+    const label = prompt("Checkpoint name:", `Checkpoint ${new Date().toLocaleString()}`);
+    if (!label) return;
+    await takeSnapshot(label.trim());
+    toast("Checkpoint created");
+    if (!document.getElementById('history-modal').classList.contains('hidden')) refreshHistory();
+}
+
+async function deleteSnapshot(id) {
+    if (!confirm("Delete this snapshot?")) return;
+    await withStores(['snapshots'], 'readwrite', snapshotStore => snapshotStore.delete(id));
+    if (selectedSnapshot?.id === id) selectedSnapshot = null;
+    refreshHistory();
+}
+
+async function openHistoryPanel() {
+    document.getElementById('history-modal').classList.remove('hidden');
+    if (!diffEditor && window.monaco) {
+        diffEditor = monaco.editor.createDiffEditor(document.getElementById('history-diff'), {
+            theme: appSettings.theme,
+            readOnly: true,
+            automaticLayout: true,
+            renderSideBySide: true,
+            minimap: { enabled: false }
+        });
+    }
+    selectedSnapshot = null;
+    await refreshHistory();
+}
+
+function closeHistoryPanel() {
+    document.getElementById('history-modal').classList.add('hidden');
+    disposeDiffModels();
+}
+
+async function refreshHistory() {
+    historySnapshots = await listSnapshots(currentProjectId);
+    if (!selectedSnapshot || !historySnapshots.some(s => s.id === selectedSnapshot.id)) {
+        selectedSnapshot = historySnapshots[0] || null;
+        selectedHistoryFile = null;
+    }
+    renderSnapshotList();
+    renderSnapshotFiles();
+    showSnapshotDiff();
+}
+
+function selectSnapshot(id) {
+    selectedSnapshot = historySnapshots.find(s => s.id === id);
+    renderSnapshotList();
+    renderSnapshotFiles();
+    showSnapshotDiff();
+}
+
+function selectHistoryFile(name) {
+    selectedHistoryFile = name;
+    renderSnapshotFiles();
+    showSnapshotDiff();
+}
+
+function renderSnapshotList() {
+    const list = document.getElementById('snapshot-list');
+    list.innerHTML = historySnapshots.length ? '' : '<div class="px-3 py-2 text-xs text-gray-500">No snapshots yet</div>';
+
+    historySnapshots.forEach(snapshot => {
+        const div = document.createElement('div');
+        div.className = `file-item ${snapshot.id === selectedSnapshot?.id ? 'active' : ''} group justify-between`;
+        div.onclick = () => selectSnapshot(snapshot.id);
+        div.innerHTML = `
+            <div class="flex items-center min-w-0">
+                <i data-lucide="${snapshot.label ? 'bookmark' : 'clock'}" class="w-3.5 h-3.5 ${snapshot.label ? 'text-blue-400' : 'text-gray-500'} mr-2 shrink-0"></i>
+                <div class="min-w-0">
+                    <div class="truncate">${escapeHtml(snapshot.label || 'Auto-save')}</div>
+                    <div class="text-[10px] text-gray-500">${new Date(snapshot.createdAt).toLocaleString()}</div>
+                </div>
+            </div>
+            <button onclick="event.stopPropagation(); deleteSnapshot(${snapshot.id})" class="opacity-0 group-hover:opacity-100 hover:text-red-400 p-1" title="Delete">
+                <i data-lucide="trash-2" class="w-3 h-3"></i>
+            </button>
+        `;
+        list.appendChild(div);
+    });
+    lucide.createIcons();
+}
+
+// Files present in the snapshot or in the project, marked by how they differ
+function renderSnapshotFiles() {
+    const list = document.getElementById('snapshot-files');
+    list.innerHTML = '';
+    if (!selectedSnapshot) return;
+
+    const names = new Set([...Object.keys(selectedSnapshot.files), ...Object.values(files).filter(f => !f.binary).map(f => f.name)]);
+    const sorted = [...names].sort();
+    if (!selectedHistoryFile || !names.has(selectedHistoryFile)) {
+        selectedHistoryFile = names.has(activeFile) ? activeFile : sorted[0];
+    }
+
+    sorted.forEach(name => {
+        const before = selectedSnapshot.files[name];
+        const current = files[name];
+        let status = '';
+        if (!before) status = '<span class="text-green-400 ml-auto text-[10px]">A</span>';
+        else if (!current) status = '<span class="text-red-400 ml-auto text-[10px]">D</span>';
+        else if (before.content !== current.content) status = '<span class="text-yellow-400 ml-auto text-[10px]">M</span>';
+
+        const div = document.createElement('div');
+        div.className = `file-item ${name === selectedHistoryFile ? 'active' : ''}`;
+        div.onclick = () => selectHistoryFile(name);
+        div.innerHTML = `<span class="truncate">${escapeHtml(name)}</span>${status}`;
+        list.appendChild(div);
+    });
+}
+
+function disposeDiffModels() {
+    const model = diffEditor?.getModel();
+    diffEditor?.setModel(null);
+    model?.original.dispose();
+    model?.modified.dispose();
+}
+
+function showSnapshotDiff() {
+    disposeDiffModels();
+    const label = document.getElementById('history-diff-label');
+    if (!selectedSnapshot || !selectedHistoryFile) {
+        label.innerText = 'Select a snapshot';
+        return;
+    }
+
+    if (!diffEditor) {
+        label.innerText = 'The diff needs the editor, which failed to load'; // Restoring still works
+        return;
+    }
+
+    const before = selectedSnapshot.files[selectedHistoryFile];
+    const current = files[selectedHistoryFile];
+    const language = (before || current).language;
+    diffEditor.setModel({
+        original: monaco.editor.createModel(before?.content ?? '', language),
+        modified: monaco.editor.createModel(current?.content ?? '', language)
+    });
+    label.innerText = `${selectedHistoryFile} — snapshot (left) vs current (right)`;
+}
+
+async function restoreSnapshotFile() {
+    const snapshotFile = selectedSnapshot?.files[selectedHistoryFile];
+    if (!snapshotFile) return toast("File does not exist in this snapshot", "error");
+
+    await takeSnapshot('Before restoring ' + selectedHistoryFile);
+    files[snapshotFile.name] = { ...snapshotFile };
+    refreshEditorGroups(); // Open models get the restored content
+    switchFile(files[activeFile] ? activeFile : snapshotFile.name);
+    updatePreview();
+    toast(`Restored ${snapshotFile.name}`);
+    refreshHistory();
+}
+
+async function restoreSnapshotProject() {
+    if (!selectedSnapshot) return;
+    if (!confirm("Restore every file from this snapshot? The current state is kept as a checkpoint.")) return;
+
+    await takeSnapshot('Before project restore');
+    Object.values(files).filter(f => !f.binary).forEach(f => delete files[f.name]);
+    Object.values(selectedSnapshot.files).forEach(f => files[f.name] = { ...f });
+    folders = [...(selectedSnapshot.folders || [])];
+    refreshEditorGroups();
+    if (!activeFile) switchFile(Object.keys(files)[0]);
+    updatePreview();
+    toast("Project restored");
+    refreshHistory();
+}
+
+setInterval(() => takeSnapshot().catch(e => console.error(e)), AUTO_SNAPSHOT_INTERVAL);
+
+// --- STORAGE (IndexedDB) ---
+// projects: one record per project (meta, folders, settings)
+// files:    one record per file, keyed by [projectId, path], so saves only touch what changed
+// meta:     small key/value pairs (active project, migration flag)
+// snapshots: version history, indexed by project (since v2)
+const DB_NAME = 'vscode-clone';
+const DB_VERSION = 2;
+let dbPromise = null;
+
+function openDatabase() {
+    if (!dbPromise) {
+        dbPromise = new Promise((resolve, reject) => {
+            const request = indexedDB.open(DB_NAME, DB_VERSION);
+            request.onupgradeneeded = (e) => {
+                const db = request.result;
+                if (e.oldVersion < 1) {
+                    db.createObjectStore('projects', { keyPath: 'id' });
+                    db.createObjectStore('files', { keyPath: ['projectId', 'name'] }).createIndex('projectId', 'projectId');
+                    db.createObjectStore('meta');
+                }
+                if (e.oldVersion < 2) {
+                    db.createObjectStore('snapshots', { keyPath: 'id', autoIncrement: true }).createIndex('projectId', 'projectId');
+                }
+            };
+            // An upgrade waits for other tabs to close their connection (see onversionchange)
+            request.onblocked = () => toast("Close the editor's other tabs to finish upgrading project storage", "error");
+            request.onsuccess = () => {
+                const db = request.result;
+                db.onversionchange = () => {
+                    db.close();
+                    toast("The editor was updated in another tab, reload this one", "error");
+                };
+                resolve(db);
+            };
+            request.onerror = () => reject(request.error);
+        });
+    }
+    return dbPromise;
+}
+
+// Runs `work` inside one transaction. Resolves once it commits, with whatever `work`
+// returned (IDBRequests, also inside arrays, are replaced by their results).
+async function withStores(storeNames, mode, work) {
+    const db = await openDatabase();
+    return new Promise((resolve, reject) => {
+        const tx = db.transaction(storeNames, mode);
+        const value = work(...storeNames.map(name => tx.objectStore(name)));
+        const unwrap = (item) => item instanceof IDBRequest ? item.result : item;
+        tx.oncomplete = () => resolve(Array.isArray(value) ? value.map(unwrap) : unwrap(value));
+        tx.onerror = () => reject(tx.error);
+        tx.onabort = () => reject(tx.error);
+    });
+}
+
+// Moves data saved by earlier versions (localStorage) into IndexedDB, once
+async function migrateLocalStorage() {
+    if (await withStores(['meta'], 'readonly', metaStore => metaStore.get('migrated'))) return;
+
+    const now = Date.now();
+    const legacyIndex = JSON.parse(localStorage.getItem('vscode-clone-projects'));
+    const legacyProjects = (legacyIndex?.projects || []).map(meta => ({
+        meta,
+        data: JSON.parse(localStorage.getItem(`vscode-clone-project:${meta.id}`))
+    }));
+    // Before named projects there was a single files map
+    const singleProject = JSON.parse(localStorage.getItem('vscode-clone-project'));
+    if (singleProject) {
+        legacyProjects.push({
+            meta: { id: generateProjectId(), name: 'My Project', createdAt: now, updatedAt: now },
+            data: {
+                files: singleProject,
+                folders: JSON.parse(localStorage.getItem('vscode-clone-folders')) || [],
+                settings: pickProjectSettings(appSettings)
+            }
+        });
+    }
+
+    await withStores(['projects', 'files', 'meta'], 'readwrite', (projectStore, fileStore, metaStore) => {
+        legacyProjects.filter(p => p.data).forEach(({ meta, data }) => {
+            projectStore.put({ ...toProjectMeta(meta), folders: data.folders || [], settings: data.settings || {} });
+            Object.values(data.files).forEach(file => fileStore.put({ ...file, projectId: meta.id }));
+        });
+        if (legacyIndex?.activeId) metaStore.put(legacyIndex.activeId, 'activeProject');
+        metaStore.put(true, 'migrated');
+    });
+
+    // Only clear once everything is safely committed
+    legacyProjects.forEach(({ meta }) => localStorage.removeItem(`vscode-clone-project:${meta.id}`));
+    ['vscode-clone-projects', 'vscode-clone-project', 'vscode-clone-folders'].forEach(key => localStorage.removeItem(key));
+}
+
+// What was last written for each file (content string or Blob), to diff against on save
+let savedState = {};
+let saveTimer;
+let saveFailed = false; // The last write to IndexedDB failed
+
+function rememberSavedState() {
+    savedState = {};
+    Object.values(files).forEach(f => savedState[f.name] = f.binary ? f.blob : f.content);
+}
+
+// Saves are debounced and incremental: only added, changed and removed files are written
+function saveProject() {
+    pushWorkspaceToDoc();
+    if (!currentProjectId) return;
+    setSaveIndicator('Saving...');
+    clearTimeout(saveTimer);
+    saveTimer = setTimeout(flushProject, 300);
+}
+
+async function flushProject() {
+    clearTimeout(saveTimer);
+    if (!currentProjectId) return;
+
+    const projectId = currentProjectId;
+    const meta = getProjectMeta(projectId);
+    const changed = Object.values(files).filter(f => savedState[f.name] !== (f.binary ? f.blob : f.content));
+    const removed = Object.keys(savedState).filter(name => !files[name]);
+    meta.updatedAt = Date.now();
+
+    try {
+        await withStores(['projects', 'files'], 'readwrite', (projectStore, fileStore) => {
+            projectStore.put({ ...meta, folders, settings: pickProjectSettings(appSettings), tabs: getTabState() });
+            changed.forEach(f => fileStore.put({ ...f, projectId }));
+            removed.forEach(name => fileStore.delete([projectId, name]));
+        });
+        changed.forEach(f => savedState[f.name] = f.binary ? f.blob : f.content);
+        removed.forEach(name => delete savedState[name]);
+        saveFailed = false;
+        setSaveIndicator('Saved');
+    } catch (e) {
+        console.error(e);
+        saveFailed = true;
+        setSaveIndicator('Not saved', true);
+        toast(e.name === 'QuotaExceededError' ? "Storage is full, changes were not saved" : "Failed to save project", "error");
+    }
+    refreshDirtyMarkers();
+    updateStorageStatus();
+}
+
+function setSaveIndicator(text, isError = false) {
+    const indicator = document.getElementById('save-indicator');
+    indicator.innerText = text;
+    indicator.classList.toggle('text-red-400', isError);
+    indicator.style.opacity = 1;
+    if (!isError) setTimeout(() => indicator.style.opacity = 0.5, 500);
+}
+
+async function updateStorageStatus() {
+    if (!navigator.storage?.estimate) return;
+    const { usage, quota } = await navigator.storage.estimate();
+    const status = document.getElementById('storage-status');
+    status.innerText = `Storage: ${formatBytes(usage)} / ${formatBytes(quota)}`;
+    status.classList.toggle('text-yellow-300', usage / quota > 0.8);
+}
+
+function formatBytes(bytes) {
+    if (bytes < 1024) return `${bytes} B`;
+    if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+    if (bytes < 1024 * 1024 * 1024) return `${(bytes / 1024 / 1024).toFixed(1)} MB`;
+    return `${(bytes / 1024 / 1024 / 1024).toFixed(1)} GB`;
+}
+
+// Pending debounced saves still get a transaction started before the page goes away
+window.addEventListener('beforeunload', () => flushProject());
+document.addEventListener('visibilitychange', () => {
+    if (document.visibilityState === 'hidden') flushProject();
+});
+
+// --- OFFLINE ---
+function registerServiceWorker() {
+    if (!('serviceWorker' in navigator) || location.protocol === 'file:') return;
+    navigator.serviceWorker.register('sw.js').catch(e => console.error(e));
+    // A worker that takes over (first visit, update) hasn't been sent the dependencies yet
+    navigator.serviceWorker.addEventListener('controllerchange', () => {
+        cachedDependencyUrls = null;
+        cacheDependencies();
+    });
+}
+
+// Preview requests bypass the service worker, so dependencies are cached on its behalf.
+// Sent when the list changes, not on every preview run.
+let cachedDependencyUrls = null;
+
+function cacheDependencies() {
+    const urls = appSettings.dependencies.map(getDependencyUrl);
+    const controller = navigator.serviceWorker?.controller;
+    if (urls.length === 0 || !controller || JSON.stringify(urls) === cachedDependencyUrls) return;
+    controller.postMessage({ type: 'cache-urls', urls });
+    cachedDependencyUrls = JSON.stringify(urls);
+}
+
+// --- UTILITIES ---
+// User text (file names, project names...) placed into innerHTML templates
+function escapeHtml(text) {
+    return String(text).replace(/[&<>"']/g, char => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' })[char]);
+}
+
+// A string argument for an inline handler (onclick="fn(${handlerArg(name)})")
+function handlerArg(value) {
+    return escapeHtml(JSON.stringify(value));
+}
+
+function escapeRegExp(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+function persistSettings() {
+    const globalSettings = { ...appSettings };
+    PROJECT_SETTING_KEYS.forEach(key => delete globalSettings[key]);
+    localStorage.setItem('vscode-clone-settings', JSON.stringify(globalSettings));
+    saveProject(); // Project-level settings live with the project
+    updateStatusBar();
+}
+
+function updateStatusBar() {
+    const wrapStatus = document.getElementById('wrap-status');
+    const fontStatus = document.getElementById('font-status');
+    if (wrapStatus) wrapStatus.innerText = `Wrap: ${appSettings.wordWrap ? 'On' : 'Off'}`;
+    if (fontStatus) fontStatus.innerText = `Font: ${appSettings.fontSize}px`;
+}
+
+// Split Pane
+function initSplitPane() {
+    Split(['#editor-pane', '#preview-pane'], {
+        sizes: [50, 50],
+        minSize: 100,
+        gutterSize: 8,
+        cursor: 'col-resize'
+    });
+    layoutEditorGroups();
+}
+
+// Editor groups share the editor pane equally; rebuilt whenever a group is added or removed
+let groupSplit = null;
+function layoutEditorGroups() {
+    destroyGroupSplit();
+    if (editorGroups.length < 2) return;
+    groupSplit = Split(editorGroups.map(group => group.element), {
+        sizes: editorGroups.map(() => 100 / editorGroups.length),
+        minSize: 150,
+        gutterSize: 8,
+        cursor: 'col-resize'
+    });
+}
+
+function destroyGroupSplit() {
+    groupSplit?.destroy();
+    groupSplit = null;
+}
+
+// Toast Notification
+function toast(msg, type = 'info') {
+    Toastify({
+        text: msg,
+        duration: 3000,
+        gravity: "bottom", 
+        position: "right", 
+        backgroundColor: type === 'error' ? "#ff5555" : "#007acc",
+    }).showToast();
+}
+
+// Load a UMD library through Monaco's AMD loader (a plain <script> would hit its anonymous define())
+function loadLibrary(url, globalName) {
+    if (window[globalName]) return Promise.resolve(window[globalName]);
+    return new Promise((resolve, reject) => {
+        require([url], lib => resolve(lib || window[globalName]), reject);
+    });
+}
+
+// Load an ES module build (esm.sh) for libraries without a browser bundle; a failed load can be retried
+const loadedModules = {};
+function loadModule(url) {
+    loadedModules[url] = loadedModules[url] || import(url).catch(e => {
+        delete loadedModules[url];
+        throw e;
+    });
+    return loadedModules[url];
+}
+
+// Console Handling
+// Entries come from previewRuntime() as serialized values; console.group() nests
+// later entries until the matching groupEnd
+let consoleGroups = [];
+const consoleHistory = [];
+let consoleHistoryIndex = 0;
+
+function getConsoleContainer() {
+    return consoleGroups[consoleGroups.length - 1] || document.getElementById('console-output');
+}
+
+// `source` ({ name, line, column }) adds a file:line link that opens the file
+function appendConsoleEntry(level, content, source = null) {
+    const output = document.getElementById('console-output');
+    const line = document.createElement('div');
+    line.className = `log-entry ${level}`;
+    if (source) line.appendChild(createSourceLink(source, 'console-source'));
+    line.append(...content);
+    getConsoleContainer().appendChild(line);
+    output.scrollTop = output.scrollHeight;
+    return line;
+}
+
+function appendConsoleLine(level, text) {
+    return appendConsoleEntry(level, [text]);
+}
+
+// Short one-line form, used for nested values and collapsed previews
+function formatConsoleValue(value) {
+    if (!value) return '';
+    if (value.type === 'string') return JSON.stringify(value.value);
+    if (value.type !== 'object' || !value.entries) return String(value.value);
+    const shown = value.entries.slice(0, 5).map(([key, child]) => {
+        const inline = child.type === 'object' ? child.value : formatConsoleValue(child);
+        if (value.kind === 'array' || value.kind === 'set') return inline;
+        return value.kind === 'map' ? `${key} => ${inline}` : `${key}: ${inline}`;
+    });
+    if (value.entries.length > 5 || value.more) shown.push('…');
+    const [open, close] = value.kind === 'array' ? ['[', ']'] : ['{', '}'];
+    const label = value.value === 'Object' ? '' : `${value.value} `;
+    return `${label}${open}${shown.join(', ')}${close}`;
+}
+
+function renderConsoleValue(value, topLevel = false) {
+    if (value.type === 'object' && value.entries) {
+        const details = document.createElement('details');
+        details.className = 'console-tree';
+        const summary = document.createElement('summary');
+        summary.textContent = formatConsoleValue(value);
+        details.appendChild(summary);
+        // Children are only built when expanded
+        details.addEventListener('toggle', () => {
+            if (!details.open || details.childElementCount > 1) return;
+            value.entries.forEach(([key, child]) => {
+                const row = document.createElement('div');
+                row.className = 'console-property';
+                const name = document.createElement('span');
+                name.className = 'console-key';
+                name.textContent = value.kind === 'map' ? `${key} => ` : `${key}: `;
+                row.append(name, renderConsoleValue(child));
+                details.appendChild(row);
+            });
+            if (value.more) details.append(Object.assign(document.createElement('div'), { className: 'console-property', textContent: `… ${value.more} more` }));
+        });
+        return details;
+    }
+    if (value.type === 'error' && value.stack) {
+        const details = document.createElement('details');
+        details.className = 'console-tree';
+        details.innerHTML = `<summary></summary>`;
+        details.querySelector('summary').textContent = value.value;
+        details.appendChild(renderStack(value.stack));
+        return details;
+    }
+    const span = document.createElement('span');
+    span.className = `console-${value.type}`;
+    span.textContent = topLevel && value.type === 'string' ? value.value : formatConsoleValue(value);
+    return span;
+}
+
+// Maps a location reported by the preview back to a project file: modules are named by
+// their import map key, inline scripts are offset by the generated <head>
+function resolvePreviewLocation(location) {
+    if (!location) return null;
+    const { url, line, column } = location;
+    if (url.startsWith(MODULE_SCHEME)) {
+        const name = url.slice(MODULE_SCHEME.length);
+        return files[name] ? { name, line, column } : null;
+    }
+    if (url === 'about:srcdoc' && files[previewDocument.html] && line > previewDocument.lineOffset) {
+        return { name: previewDocument.html, line: line - previewDocument.lineOffset, column };
+    }
+    return null;
+}
+
+function createSourceLink(source, className) {
+    const link = document.createElement('a');
+    link.className = className;
+    link.textContent = `${source.name}:${source.line}`;
+    link.title = 'Open in editor';
+    link.onclick = () => revealSourceLocation(source);
+    return link;
+}
+
+function revealSourceLocation({ name, line, column = 1 }) {
+    if (!files[name]) return;
+    switchFile(name);
+    if (!editor?.getModel()) return;
+    editor.setPosition({ lineNumber: line, column });
+    editor.revealLineInCenter(line);
+    editor.focus();
+}
+
+// Stack frames that point into the project become links
+function renderStack(stack) {
+    const pre = document.createElement('pre');
+    pre.className = 'console-stack';
+    const framePattern = /(project:\/[^\s()]+|about:srcdoc):(\d+):(\d+)/g;
+    let last = 0;
+    for (const match of stack.matchAll(framePattern)) {
+        const source = resolvePreviewLocation({ url: match[1], line: Number(match[2]), column: Number(match[3]) });
+        if (!source) continue;
+        pre.append(stack.slice(last, match.index), createSourceLink(source, 'console-stack-link'));
+        last = match.index + match[0].length;
+    }
+    pre.append(stack.slice(last));
+    return pre;
+}
+
+function renderConsoleArgs(args) {
+    return args.flatMap((arg, i) => [...(i > 0 ? [' '] : []), renderConsoleValue(arg, true)]);
+}
+
+function renderConsoleTable(table) {
+    const element = document.createElement('table');
+    element.className = 'console-table';
+    element.innerHTML = `<thead><tr></tr></thead><tbody></tbody>`;
+    table.columns.forEach(column => {
+        element.tHead.rows[0].appendChild(Object.assign(document.createElement('th'), { textContent: column }));
+    });
+    table.rows.forEach(cells => {
+        const row = element.tBodies[0].insertRow();
+        cells.forEach((cell, i) => row.insertCell().textContent = i === 0 ? cell.value : formatConsoleValue(cell));
+    });
+    return element;
+}
+
+function handleConsoleMessage(message) {
+    switch (message.level) {
+        case 'clear':
+            clearConsole();
+            break;
+        case 'table':
+            appendConsoleEntry('log', [renderConsoleTable(message.table)]);
+            break;
+        case 'group': {
+            const details = document.createElement('details');
+            details.className = 'console-group';
+            details.open = !message.collapsed;
+            const summary = document.createElement('summary');
+            summary.append(...renderConsoleArgs(message.args));
+            details.appendChild(summary);
+            appendConsoleEntry('log', [details]);
+            consoleGroups.push(details);
+            break;
+        }
+        case 'groupEnd':
+            consoleGroups.pop();
+            break;
+        default: {
+            const prefix = { error: 'Uncaught ', promise: 'Uncaught (in promise) ' }[message.uncaught] || '';
+            const content = renderConsoleArgs(message.args);
+            if (prefix) content.unshift(prefix);
+            if (message.level === 'result' && message.promise) content.unshift('Promise → ');
+            if (message.stack) content.push(renderStack(message.stack));
+            const source = resolvePreviewLocation(message.location);
+            appendConsoleEntry(message.level, content, source);
+            if (message.uncaught && source) setPreviewMarker(source, message.args[0]?.value ?? 'Uncaught error');
+        }
+    }
+}
+
+window.addEventListener('message', (e) => {
+    if (e.data?.type === 'console' && !previewDetached) handleConsoleMessage(e.data);
+    if (e.data?.type === 'preview-globals') setPreviewGlobals(e.data.names);
+});
+
+// REPL: runs in the preview frame, see previewRuntime()
+function evaluateInPreview(code) {
+    appendConsoleLine('input', code);
+    if (previewDetached) return previewChannel.postMessage({ type: 'console-eval', code });
+    document.getElementById('preview-frame').contentWindow.postMessage({ type: 'console-eval', code }, '*');
+}
+
+document.getElementById('console-input').addEventListener('keydown', (e) => {
+    const input = e.target;
+    if (e.key === 'Enter' && !e.ctrlKey && !e.metaKey && input.value.trim()) {
+        consoleHistory.push(input.value);
+        consoleHistoryIndex = consoleHistory.length;
+        evaluateInPreview(input.value);
+        input.value = '';
+    } else if (e.key === 'ArrowUp' && consoleHistoryIndex > 0) {
+        e.preventDefault();
+        input.value = consoleHistory[--consoleHistoryIndex];
+    } else if (e.key === 'ArrowDown' && consoleHistoryIndex < consoleHistory.length) {
+        e.preventDefault();
+        consoleHistoryIndex++;
+        input.value = consoleHistory[consoleHistoryIndex] ?? '';
+    }
+});
+
+function clearConsole() {
+    document.getElementById('console-output').innerHTML = '';
+    consoleGroups = [];
+}
+
+function toggleConsole() {
+    const p = document.getElementById('console-panel');
+    p.classList.toggle('hidden');
+}
+
+// --- SEARCH ---
+// Project-wide search over every text file. Results are grouped by file and can be
+// replaced all at once; a replace is undone in one step (or per file with Ctrl+Z).
+const SEARCH_MATCH_LIMIT = 10000;
+const SEARCH_PREVIEW_CONTEXT = 30; // Characters kept before a match in long lines
+const searchOptions = { matchCase: false, wholeWord: false, regex: false };
+let searchResults = []; // [{ name, matches: [{ index, length, line, column, captures, groups }] }]
+let collapsedSearchFiles = new Set();
+let searchTimer;
+let lastReplace = null; // { name: { before, after } } contents around the last replace
+
+function showSidebarView(view) {
+    ['explorer', 'search'].forEach(name => {
+        document.getElementById(`${name}-view`).classList.toggle('hidden', name !== view);
+        document.getElementById(`sidebar-tab-${name}`).classList.toggle('active', name === view);
+    });
+}
+
+function isSearchViewOpen() {
+    return !document.getElementById('search-view').classList.contains('hidden');
+}
+
+// Starts from the selected text, like the in-file find widget
+function openSearchView(focusReplace = false) {
+    showSidebarView('search');
+    const sidebar = document.getElementById('sidebar');
+    if (sidebar.classList.contains('-translate-x-full')) toggleSidebar();
+
+    const input = document.getElementById('search-input');
+    const selection = editor?.getModel() ? editor.getModel().getValueInRange(editor.getSelection()) : '';
+    if (selection && !selection.includes('\n')) {
+        input.value = selection;
+        runSearch();
+    }
+    const target = focusReplace ? document.getElementById('replace-input') : input;
+    target.focus();
+    target.select();
+}
+
+function toggleSearchOption(option) {
+    searchOptions[option] = !searchOptions[option];
+    document.getElementById(`search-option-${option}`).classList.toggle('active', searchOptions[option]);
+    runSearch();
+}
+
+function scheduleSearch() {
+    clearTimeout(searchTimer);
+    searchTimer = setTimeout(runSearch, 250);
+}
+
+// Throws on an invalid regular expression
+function buildSearchPattern() {
+    const query = document.getElementById('search-input').value;
+    if (!query) return null;
+    let source = searchOptions.regex ? query : escapeRegExp(query);
+    if (searchOptions.wholeWord) source = `\\b(?:${source})\\b`;
+    return new RegExp(source, searchOptions.matchCase ? 'gm' : 'gim');
+}
+
+// "src", "*.js", "lib/**/*.{ts,tsx}": a pattern matches at any depth and covers
+// everything inside a matched folder
+function globToRegExp(glob) {
+    const source = glob.replace(/^\.?\//, '').replace(/\/$/, '')
+        .split(/(\*\*\/?|\*|\?|\{[^}]*\})/)
+        .map(part => {
+            if (part === '**/') return '(?:.*/)?';
+            if (part === '**') return '.*';
+            if (part === '*') return '[^/]*';
+            if (part === '?') return '[^/]';
+            if (part.startsWith('{') && part.endsWith('}')) return `(?:${part.slice(1, -1).split(',').map(escapeRegExp).join('|')})`;
+            return escapeRegExp(part);
+        })
+        .join('');
+    return new RegExp(`^(?:.*/)?${source}(?:/.*)?$`);
+}
+
+function parseGlobList(id) {
+    return document.getElementById(id).value.split(',').map(glob => glob.trim()).filter(Boolean).map(globToRegExp);
+}
+
+function runSearch() {
+    clearTimeout(searchTimer);
+    const summary = document.getElementById('search-summary');
+    let pattern;
+    try {
+        pattern = buildSearchPattern();
+    } catch (e) {
+        searchResults = [];
+        renderSearchResults();
+        summary.innerText = e.message;
+        summary.classList.add('text-red-400');
+        return;
+    }
+    summary.classList.remove('text-red-400');
+
+    const include = parseGlobList('search-include');
+    const exclude = parseGlobList('search-exclude');
+    searchResults = [];
+    if (pattern) {
+        let total = 0;
+        Object.values(files)
+            .filter(f => !f.binary)
+            .filter(f => include.length === 0 || include.some(glob => glob.test(f.name)))
+            .filter(f => !exclude.some(glob => glob.test(f.name)))
+            .sort((a, b) => a.name.localeCompare(b.name))
+            .forEach(f => {
+                if (total >= SEARCH_MATCH_LIMIT) return;
+                const matches = findMatches(f.content, pattern, SEARCH_MATCH_LIMIT - total);
+                total += matches.length;
+                if (matches.length > 0) searchResults.push({ name: f.name, matches });
+            });
+    }
+    renderSearchResults();
+}
+
+function findMatches(content, pattern, limit) {
+    const matches = [];
+    const lineStarts = [0];
+    for (let i = content.indexOf('\n'); i !== -1; i = content.indexOf('\n', i + 1)) lineStarts.push(i + 1);
+
+    let line = 0;
+    pattern.lastIndex = 0;
+    for (const match of content.matchAll(pattern)) {
+        if (match[0] === '') continue; // Empty matches (e.g. /^/) have nothing to replace
+        while (line + 1 < lineStarts.length && lineStarts[line + 1] <= match.index) line++;
+        matches.push({
+            index: match.index,
+            length: match[0].length,
+            line: line + 1,
+            column: match.index - lineStarts[line] + 1,
+            captures: [...match],
+            groups: match.groups
+        });
+        if (matches.length >= limit) break;
+    }
+    return matches;
+}
+
+// Regex replacements understand the same $1, $<name>, $& ... as String.replace();
+// plain searches replace literally
+function getMatchReplacement(content, match) {
+    const text = document.getElementById('replace-input').value;
+    if (!searchOptions.regex) return text;
+    const { captures, groups, index } = match;
+    return text.replace(/\$(\$|&|`|'|\d{1,2}|<([^>]*)>)/g, (token, key, name) => {
+        if (key === '$') return '$';
+        if (key === '&') return captures[0];
+        if (key === '`') return content.slice(0, index);
+        if (key === "'") return content.slice(index + captures[0].length);
+        if (name !== undefined) return groups ? groups[name] ?? '' : token;
+        // $12 falls back to $1 followed by "2" when there is no 12th group
+        if (Number(key) >= 1 && Number(key) < captures.length) return captures[Number(key)] ?? '';
+        if (key.length === 2 && Number(key[0]) >= 1 && Number(key[0]) < captures.length) return (captures[key[0]] ?? '') + key[1];
+        return token;
+    });
+}
+
+function renderSearchResults() {
+    const container = document.getElementById('search-results');
+    const summary = document.getElementById('search-summary');
+    container.innerHTML = '';
+    const total = searchResults.reduce((sum, result) => sum + result.matches.length, 0);
+    const query = document.getElementById('search-input').value;
+    summary.innerText = !query ? '' : total === 0 ? 'No results found' :
+        `${total}${total >= SEARCH_MATCH_LIMIT ? '+' : ''} result${total === 1 ? '' : 's'} in ${searchResults.length} file${searchResults.length === 1 ? '' : 's'}`;
+
+    let pattern = null;
+    try {
+        pattern = buildSearchPattern();
+    } catch (e) { /* Reported by runSearch */ }
+    const showReplace = document.getElementById('replace-input').value !== '' && pattern;
+
+    searchResults.forEach(result => {
+        const collapsed = collapsedSearchFiles.has(result.name);
+        const { icon, color } = getFileIcon(result.name);
+        const header = document.createElement('div');
+        header.className = 'flex items-center justify-between pl-2 pr-2 py-0.5 cursor-pointer text-gray-300 hover:bg-[#2a2d2e] group';
+        header.title = result.name;
+        header.innerHTML = `
+            <div class="flex items-center min-w-0">
+                <i data-lucide="${collapsed ? 'chevron-right' : 'chevron-down'}" class="w-3 h-3 mr-1 shrink-0"></i>
+                <i data-lucide="${icon}" class="w-3.5 h-3.5 ${color} mr-1.5 shrink-0"></i>
+                <span class="truncate">${escapeHtml(getBasename(result.name))}</span>
+                <span class="ml-1.5 text-gray-500 truncate">${escapeHtml(getDirname(result.name))}</span>
+            </div>
+            <div class="flex items-center shrink-0">
+                <div class="hidden group-hover:flex items-center">
+                    ${showReplace ? `<button data-action="replace" class="hover:text-white p-0.5" title="Replace in File"><i data-lucide="replace-all" class="w-3 h-3"></i></button>` : ''}
+                    <button data-action="dismiss" class="hover:text-white p-0.5" title="Dismiss"><i data-lucide="x" class="w-3 h-3"></i></button>
+                </div>
+                <span class="ml-1 bg-[#3c3c3c] rounded-full px-1.5 text-[10px]">${result.matches.length}</span>
+            </div>
+        `;
+        header.onclick = (e) => {
+            const action = e.target.closest('[data-action]')?.dataset.action;
+            if (action === 'replace') return replaceInFiles([result.name]);
+            if (action === 'dismiss') return dismissSearchResult(result.name);
+            collapsedSearchFiles[collapsed ? 'delete' : 'add'](result.name);
+            renderSearchResults();
+        };
+        container.appendChild(header);
+        if (collapsed) return;
+
+        const content = files[result.name]?.content ?? '';
+        result.matches.forEach(match => {
+            const row = document.createElement('div');
+            row.className = 'pl-9 pr-2 py-0.5 cursor-pointer whitespace-nowrap overflow-hidden text-ellipsis text-gray-400 hover:bg-[#2a2d2e]';
+            row.title = `Line ${match.line}, Column ${match.column}`;
+            row.onclick = () => revealSearchMatch(result.name, match);
+
+            // The line around the match; multi-line matches show their first line
+            const lineStart = match.index - match.column + 1;
+            const lineEnd = content.indexOf('\n', match.index);
+            const matchEnd = Math.min(match.index + match.length, lineEnd === -1 ? content.length : lineEnd);
+            const previewStart = Math.max(lineStart, match.index - SEARCH_PREVIEW_CONTEXT);
+            const before = (previewStart > lineStart ? '…' : '') + content.slice(previewStart, match.index).trimStart();
+            const highlight = document.createElement('span');
+            highlight.className = showReplace ? 'search-match replaced' : 'search-match';
+            highlight.textContent = content.slice(match.index, matchEnd);
+            row.append(before, highlight);
+            if (showReplace) {
+                const replacement = document.createElement('span');
+                replacement.className = 'search-replacement';
+                replacement.textContent = getMatchReplacement(content, match);
+                row.append(replacement);
+            }
+            row.append(content.slice(matchEnd, lineEnd === -1 ? undefined : lineEnd));
+            container.appendChild(row);
+        });
+    });
+    lucide.createIcons();
+}
+
+function revealSearchMatch(name, match) {
+    if (!files[name]) return;
+    switchFile(name);
+    const model = editor?.getModel();
+    if (!model) return;
+    const start = model.getPositionAt(match.index);
+    const end = model.getPositionAt(match.index + match.length);
+    const range = new monaco.Range(start.lineNumber, start.column, end.lineNumber, end.column);
+    editor.setSelection(range);
+    editor.revealRangeInCenter(range);
+    editor.focus();
+}
+
+// Dismissed files are left out of "Replace All"
+function dismissSearchResult(name) {
+    searchResults = searchResults.filter(result => result.name !== name);
+    renderSearchResults();
+}
+
+function collapseSearchResults() {
+    searchResults.forEach(result => collapsedSearchFiles.add(result.name));
+    renderSearchResults();
+}
+
+function clearSearch() {
+    document.getElementById('search-input').value = '';
+    document.getElementById('replace-input').value = '';
+    searchResults = [];
+    collapsedSearchFiles = new Set();
+    renderSearchResults();
+}
+
+function replaceAll() {
+    replaceInFiles(searchResults.map(result => result.name));
+}
+
+// The results list is the preview; this applies it after a confirmation
+function replaceInFiles(names) {
+    let pattern;
+    try {
+        pattern = buildSearchPattern();
+    } catch (e) {
+        return toast(e.message, "error");
+    }
+    // Files may have been edited since the results were listed (e.g. while the view was hidden)
+    runSearch();
+    const targets = searchResults.filter(result => names.includes(result.name) && files[result.name]);
+    const count = targets.reduce((sum, result) => sum + result.matches.length, 0);
+    if (!pattern || count === 0) return;
+
+    const replaceText = document.getElementById('replace-input').value;
+    if (!confirm(`Replace ${count} occurrence${count === 1 ? '' : 's'} in ${targets.length} file${targets.length === 1 ? '' : 's'} with "${replaceText}"?`)) return;
+
+    const before = {};
+    targets.forEach(({ name, matches }) => {
+        const content = files[name].content;
+        // Only the listed matches: results may be capped, and empty matches are skipped
+        let next = '';
+        let last = 0;
+        matches.forEach(match => {
+            next += content.slice(last, match.index) + getMatchReplacement(content, match);
+            last = match.index + match.length;
+        });
+        next += content.slice(last);
+        if (next === content) return;
+        before[name] = content;
+        files[name].content = next;
+    });
+    applySearchEdits(before);
+    lastReplace = {};
+    Object.entries(before).forEach(([name, content]) => lastReplace[name] = { before: content, after: files[name].content });
+    document.getElementById('search-undo').classList.remove('hidden');
+    toast(`Replaced ${count} occurrence${count === 1 ? '' : 's'} in ${Object.keys(before).length} file${Object.keys(before).length === 1 ? '' : 's'}`);
+}
+
+// Files edited (or deleted) since the replace keep their changes; Ctrl+Z still undoes it in the editor
+function undoReplace() {
+    if (!lastReplace) return;
+    const before = {};
+    const skipped = Object.entries(lastReplace).filter(([name, state]) => {
+        if (files[name]?.content !== state.after) return true;
+        before[name] = files[name].content;
+        files[name].content = state.before;
+        return false;
+    });
+    lastReplace = null;
+    document.getElementById('search-undo').classList.add('hidden');
+    applySearchEdits(before);
+    toast(skipped.length ? `Replace undone, skipped ${skipped.length} file(s) edited since` : "Replace undone");
+}
+
+// Models receive the new contents as edits, so each file can also be undone in the editor
+function applySearchEdits(changed) {
+    if (Object.keys(changed).length === 0) return;
+    syncModels();
+    saveProject();
+    refreshDirtyMarkers();
+    Object.keys(changed).forEach(name => schedulePreviewRun(name));
+    runSearch();
+}
+
+// --- SHARING ---
+// Links carry the project in the URL hash: #<payload> opens it as a new project and
+// #embed=<payload> shows it read-only (for docs and blog posts). The payload is LZ-compressed
+// JSON: { v, files: { path: content }, folders, settings }.
+const SHARE_FORMAT_VERSION = 2;
+const EMBED_HASH_PREFIX = 'embed=';
+const SHARE_URL_WARN_LENGTH = 8000; // Chat apps, mail clients and some servers cut longer URLs
+const SHARE_URL_MAX_LENGTH = 2000000; // Browsers won't open longer ones
+const NPM_NAME_PATTERN = /^(?:@[a-z0-9~-][a-z0-9._~-]*\/)?[a-z0-9~-][a-z0-9._~-]*$/i;
+const PACKAGE_VERSION_PATTERN = /^[\w.+-]+$/;
+const PACKAGE_PATH_PATTERN = /^[\w.@+~-]+(?:\/[\w.@+~-]+)*$/;
+const LINT_LEVELS = ['off', 'warn', 'error', 0, 1, 2];
+let embedMode = false;
+
+function encodeSharePayload() {
+    // Binary assets can't travel in a URL
+    const textFiles = Object.values(files).filter(f => !f.binary);
+    if (textFiles.length < Object.keys(files).length) toast("Binary assets are not included in share links", "error");
+
+    const payload = { v: SHARE_FORMAT_VERSION, files: {}, folders, settings: pickProjectSettings(appSettings) };
+    textFiles.forEach(f => payload.files[f.name] = f.content);
+    return LZString.compressToEncodedURIComponent(JSON.stringify(payload));
+}
+
+// The link, or null (after telling why) when it would be too long to open
+function buildShareUrl(embed = false) {
+    const url = `${window.location.origin}${window.location.pathname}#${embed ? EMBED_HASH_PREFIX : ''}${encodeSharePayload()}`;
+    if (url.length > SHARE_URL_MAX_LENGTH) {
+        toast("The project is too large for a link, export it as a zip instead", "error");
+        return null;
+    }
+    if (url.length > SHARE_URL_WARN_LENGTH) {
+        toast(`The link is ${url.length.toLocaleString()} characters long, some apps may cut it off`, "error");
+    }
+    return url;
+}
+
+function generateShareUrl() {
+    const url = buildShareUrl();
+    if (!url) return;
+    navigator.clipboard.writeText(url);
+    toast("URL copied to clipboard!");
+}
+
+function copyEmbedCode() {
+    const url = buildShareUrl(true);
+    if (!url) return;
+    navigator.clipboard.writeText(`<iframe src="${escapeHtml(url)}" width="100%" height="480" style="border: 1px solid #333; border-radius: 4px;" loading="lazy"></iframe>`);
+    toast("Embed code copied to clipboard!");
+}
+
+function isPlainObject(value) {
+    return typeof value === 'object' && value !== null && !Array.isArray(value);
+}
+
+// { files, folders, settings } of a link, or an Error saying what's wrong with it.
+// Older links hold { files: { name: { name, content } }, folders, settings } or only the files map.
+function decodeSharePayload(compressed) {
+    let data;
+    try {
+        data = JSON.parse(LZString.decompressFromEncodedURIComponent(compressed));
+    } catch (e) {
+        // Not JSON (or nothing at all) once decompressed
+    }
+    if (!isPlainObject(data)) throw new Error("The link is incomplete or damaged");
+    if (data.v > SHARE_FORMAT_VERSION) throw new Error("The link was made with a newer version of the editor");
+
+    const legacy = data.v === undefined;
+    const bareMap = legacy && !isPlainObject(data.files);
+    const entries = bareMap ? data : data.files;
+    if (!isPlainObject(entries) || Object.keys(entries).length === 0) throw new Error("The link contains no files");
+
+    const sharedFiles = {};
+    Object.entries(entries).forEach(([path, entry]) => {
+        const content = legacy ? entry?.content : entry;
+        if (normalizePath(path) !== path || typeof content !== 'string') throw new Error(`The link contains an invalid file: ${path}`);
+        sharedFiles[path] = { name: path, language: getLanguageForFile(path), content };
+    });
+
+    const sharedFolders = bareMap ? [] : data.folders ?? [];
+    if (!Array.isArray(sharedFolders) || sharedFolders.some(path => typeof path !== 'string' || normalizePath(path) !== path)) {
+        throw new Error("The link contains invalid folders");
+    }
+    return { files: sharedFiles, folders: sharedFolders, settings: validateProjectSettings(bareMap ? {} : data.settings ?? {}) };
+}
+
+// Project settings from outside (links, imported zips), picked and checked
+function validateProjectSettings(settings) {
+    if (!isPlainObject(settings)) throw new Error("Invalid project settings");
+    if (settings.dependencies !== undefined && !Array.isArray(settings.dependencies)) throw new Error("Invalid dependencies");
+    if (settings.cdns !== undefined && (!Array.isArray(settings.cdns) || settings.cdns.some(url => typeof url !== 'string'))) {
+        throw new Error("Invalid dependencies");
+    }
+
+    const picked = pickProjectSettings(settings);
+    if (typeof picked.entry !== 'string' || !normalizePath(picked.entry)) throw new Error("Invalid entry module");
+    picked.dependencies = picked.dependencies.map(validateDependency);
+
+    const { lint } = picked;
+    const validLevel = (level) => LINT_LEVELS.includes(Array.isArray(level) ? level[0] : level);
+    if (!isPlainObject(lint) || typeof lint.enabled !== 'boolean' || !isPlainObject(lint.rules) || !Array.isArray(lint.globals)
+        || !Object.values(lint.rules).every(validLevel) || !lint.globals.every(name => typeof name === 'string')) {
+        throw new Error("Invalid lint settings");
+    }
+    return picked;
+}
+
+function validateDependency(dep) {
+    if (!isPlainObject(dep)) throw new Error("Invalid dependency");
+    if (dep.url !== undefined) {
+        let url = null;
+        try {
+            url = new URL(dep.url);
+        } catch (e) {
+            // Reported below
+        }
+        if (!url || !/^https?:$/.test(url.protocol) || !['script', 'style'].includes(dep.kind)) throw new Error(`Invalid dependency: ${dep.url}`);
+        return { url: url.href, kind: dep.kind };
+    }
+
+    const valid = typeof dep.name === 'string' && NPM_NAME_PATTERN.test(dep.name)
+        && typeof dep.version === 'string' && PACKAGE_VERSION_PATTERN.test(dep.version)
+        && (dep.path === undefined || (typeof dep.path === 'string' && PACKAGE_PATH_PATTERN.test(dep.path) && !dep.path.split('/').includes('..')))
+        && ['module', 'script', 'style'].includes(dep.kind);
+    if (!valid) throw new Error(`Invalid dependency: ${dep.name}`);
+    const { name, version, path, kind } = dep;
+    return path ? { name, version, path, kind } : { name, version, kind };
+}
+
+// Embeds (#embed=...) show a shared project read-only; nothing is stored
+async function initEmbed(compressed) {
+    embedMode = true;
+    document.body.classList.add('embed-mode');
+    let shared;
+    try {
+        shared = decodeSharePayload(compressed);
+    } catch (e) {
+        console.error(e);
+        toast(`Failed to load the embedded project: ${e.message}`, "error");
+        shared = { files: JSON.parse(JSON.stringify(DEFAULT_PROJECT)), folders: [], settings: pickProjectSettings(defaultSettings) };
+    }
+
+    files = shared.files;
+    folders = shared.folders;
+    Object.assign(appSettings, shared.settings);
+    restoreTabState();
+    rememberSavedState();
+    document.getElementById('project-name').innerText = 'Embedded Project';
+    document.getElementById('embed-open-link').href = `${window.location.pathname}${window.location.search}#${compressed}`;
+    await initWorkspace();
+}
+
+// --- COLLABORATION ---
+// Live sessions: the project (text files as Y.Text, assets, folders, project settings) lives in
+// a Yjs document that every participant edits. Document updates and presence (name, open file,
+// selection) travel over a transport: BroadcastChannel between tabs, or a WebSocket relay
+// (collab-relay.js) between machines. Invite links are #collab=<room>[&relay=<url>].
+const YJS_URL = 'https://esm.sh/yjs@13.6.18';
+const COLLAB_HASH_PREFIX = 'collab=';
+const COLLAB_COLOR_COUNT = 8; // .collab-color-N in style.css
+const COLLAB_JOIN_TIMEOUT = 10000;
+const PRESENCE_INTERVAL = 10000;
+const PRESENCE_TIMEOUT = 30000;
+const SYNC_MESSAGES = { hello: 0, update: 1, presence: 2, leave: 3 };
+const REMOTE_ORIGIN = 'remote';
+let Y = null;
+let collab = null; // { room, relay, doc, transport, peers, projectId, bound, joinTimer, presenceTimer, pushedBlobs }
+let applyingRemoteChanges = false;
+let presenceSignature = '';
+
+// A transport connects to a room and calls onOpen (also after reconnecting) and onMessage(Uint8Array).
+// Every message must reach every other participant of the room, nothing more is expected of it.
+const SYNC_TRANSPORTS = {
+    broadcast(room, { onOpen, onMessage }) {
+        const channel = new BroadcastChannel(`live-editor-collab:${room}`);
+        channel.onmessage = (e) => onMessage(new Uint8Array(e.data));
+        setTimeout(onOpen);
+        return { send: (data) => channel.postMessage(data), close: () => channel.close() };
+    },
+    websocket(room, { onOpen, onMessage }, relay) {
+        let socket;
+        let closed = false;
+        let retries = 0;
+        const connect = () => {
+            socket = new WebSocket(`${relay.replace(/\/+$/, '')}/${encodeURIComponent(room)}`);
+            socket.binaryType = 'arraybuffer';
+            socket.onopen = () => {
+                retries = 0;
+                onOpen();
+            };
+            socket.onmessage = (e) => onMessage(new Uint8Array(e.data));
+            socket.onclose = () => {
+                if (closed) return;
+                if (retries === 0) toast("Lost the connection to the relay, reconnecting...", "error");
+                setTimeout(connect, Math.min(30000, 1000 * 2 ** retries++));
+            };
+        };
+        connect();
+        return {
+            send: (data) => socket.readyState === WebSocket.OPEN && socket.send(data),
+            close() {
+                closed = true;
+                socket.close();
+            }
+        };
+    }
+};
+
+function getCollabInviteUrl() {
+    const params = new URLSearchParams({ collab: collab.room });
+    if (collab.relay) params.set('relay', collab.relay);
+    return `${window.location.origin}${window.location.pathname}#${params}`;
+}
+
+function getCollabColor(id) {
+    return id % COLLAB_COLOR_COUNT;
+}
+
+async function loadYjs() {
+    Y ??= await loadModule(YJS_URL);
+    return Y;
+}
+
+// Starts a session for the current project, or copies the invite link of the running one
+async function startCollaboration() {
+    if (collab) {
+        navigator.clipboard.writeText(getCollabInviteUrl());
+        return toast("Invite link copied to clipboard!");
+    }
+    try {
+        await loadYjs();
+    } catch (e) {
+        console.error(e);
+        return toast("Failed to load the collaboration library", "error");
+    }
+
+    await flushProject();
+    openCollabSession(generateProjectId(), appSettings.collabRelay.trim());
+    collab.projectId = currentProjectId;
+    collab.bound = true;
+    pushWorkspaceToDoc();
+    renderCollabStatus();
+    navigator.clipboard.writeText(getCollabInviteUrl());
+    toast("Live session started, invite link copied to clipboard!");
+}
+
+// Invite links open the session as a new project, once another participant sent it over
+async function joinCollaboration(hash) {
+    history.replaceState(null, '', window.location.pathname + window.location.search);
+    const params = new URLSearchParams(hash);
+    const relay = params.get('relay') || '';
+    if (!params.get('collab') || (relay && !/^wss?:\/\//i.test(relay))) return toast("Invalid live session link", "error");
+    try {
+        await loadYjs();
+    } catch (e) {
+        console.error(e);
+        return toast("Failed to load the collaboration library", "error");
+    }
+
+    toast("Joining live session...");
+    openCollabSession(params.get('collab'), relay);
+    collab.joinTimer = setTimeout(() => {
+        leaveCollaboration();
+        toast("Nobody is hosting this live session", "error");
+    }, COLLAB_JOIN_TIMEOUT);
+}
+
+async function finishJoin() {
+    const session = collab;
+    clearTimeout(session.joinTimer);
+    session.joinTimer = null;
+    let settings = {};
+    try {
+        settings = validateProjectSettings(session.doc.getMap('settings').toJSON());
+    } catch (e) {
+        console.error(e);
+    }
+    session.projectId = await createProject('Live Session', { files: readDocFiles(), folders: readDocFolders(), settings });
+    await switchProject(session.projectId);
+    if (collab !== session) return; // Left while the project was being created
+
+    session.bound = true;
+    pullDocToWorkspace(); // Changes made while switching
+    updatePresence();
+    renderCollabStatus();
+    toast("Joined live session");
+}
+
+function openCollabSession(room, relay) {
+    const doc = new Y.Doc();
+    collab = { room, relay, doc, transport: null, peers: new Map(), projectId: null, bound: false, joinTimer: null, presenceTimer: null, pushedBlobs: new Map() };
+
+    doc.on('update', (update, origin) => {
+        if (origin !== REMOTE_ORIGIN) sendSyncMessage(SYNC_MESSAGES.update, update);
+    });
+    doc.getMap('files').observeDeep((events, transaction) => {
+        if (transaction.origin === REMOTE_ORIGIN) applyRemoteFileChanges(events);
+    });
+    doc.getMap('folders').observe((event, transaction) => {
+        if (transaction.origin !== REMOTE_ORIGIN || !collab.bound) return;
+        folders = readDocFolders();
+        renderExplorer();
+        saveProject();
+    });
+    doc.getMap('settings').observe((event, transaction) => {
+        if (transaction.origin === REMOTE_ORIGIN && collab.bound) applyRemoteSettings();
+    });
+
+    const transport = relay ? SYNC_TRANSPORTS.websocket : SYNC_TRANSPORTS.broadcast;
+    collab.transport = transport(room, {
+        onOpen: () => {
+            // Both ways: what we missed comes back as a reply, what they missed is sent now
+            sendSyncMessage(SYNC_MESSAGES.hello, Y.encodeStateVector(doc));
+            if (collab.bound) sendSyncMessage(SYNC_MESSAGES.update, Y.encodeStateAsUpdate(doc));
+            sendPresence();
+        },
+        onMessage: handleSyncMessage
+    }, relay);
+    collab.presenceTimer = setInterval(() => {
+        sendPresence();
+        prunePeers();
+    }, PRESENCE_INTERVAL);
+    renderCollabStatus();
+}
+
+function leaveCollaboration() {
+    if (!collab) return;
+    sendSyncMessage(SYNC_MESSAGES.leave, new TextEncoder().encode(JSON.stringify({ id: collab.doc.clientID })));
+    clearTimeout(collab.joinTimer);
+    clearInterval(collab.presenceTimer);
+    collab.transport.close();
+    collab.doc.destroy();
+    collab = null;
+    renderRemoteCursors();
+    renderPresence();
+    renderCollabStatus();
+}
+
+function sendSyncMessage(type, payload) {
+    if (!collab?.transport) return;
+    const message = new Uint8Array(payload.length + 1);
+    message[0] = type;
+    message.set(payload, 1);
+    collab.transport.send(message);
+}
+
+function handleSyncMessage(message) {
+    if (!collab) return;
+    try {
+        readSyncMessage(message);
+    } catch (e) {
+        // A peer or relay sent something we can't decode; the session goes on without it
+        console.error('Ignored a malformed live session message', e);
+    }
+}
+
+function readSyncMessage(message) {
+    const payload = message.subarray(1);
+    switch (message[0]) {
+        case SYNC_MESSAGES.hello:
+            sendSyncMessage(SYNC_MESSAGES.update, Y.encodeStateAsUpdate(collab.doc, payload));
+            sendPresence();
+            break;
+        case SYNC_MESSAGES.update:
+            // Observers update the workspace; saves meanwhile must not push its half-updated state back
+            applyingRemoteChanges = true;
+            try {
+                Y.applyUpdate(collab.doc, payload, REMOTE_ORIGIN);
+            } finally {
+                applyingRemoteChanges = false;
+            }
+            if (collab.joinTimer && collab.doc.getMap('files').size > 0) finishJoin();
+            renderRemoteCursors(); // Positions moved with the edit
+            break;
+        case SYNC_MESSAGES.presence:
+        case SYNC_MESSAGES.leave: {
+            const presence = JSON.parse(new TextDecoder().decode(payload));
+            if (message[0] === SYNC_MESSAGES.leave) collab.peers.delete(presence.id);
+            else collab.peers.set(presence.id, { ...presence, seen: Date.now() });
+            renderRemoteCursors();
+            renderPresence();
+            renderCollabStatus();
+            break;
+        }
+    }
+}
+
+// Files of the document that may safely enter the workspace
+function readDocFiles() {
+    const docFiles = {};
+    collab.doc.getMap('files').forEach((value, name) => {
+        const file = readDocFile(name, value);
+        if (file) docFiles[name] = file;
+    });
+    return docFiles;
+}
+
+function readDocFile(name, value) {
+    if (normalizePath(name) !== name) return null;
+    const language = getLanguageForFile(name);
+    if (value instanceof Y.Text) return { name, language, content: value.toString() };
+    if (!(value?.data instanceof Uint8Array) || typeof value.mime !== 'string') return null;
+
+    const blob = new Blob([value.data], { type: value.mime });
+    collab.pushedBlobs.set(name, blob); // Not to be sent back
+    return { name, language, content: '', binary: true, blob, mime: value.mime };
+}
+
+function readDocFolders() {
+    return [...collab.doc.getMap('folders').keys()].filter(path => normalizePath(path) === path);
+}
+
+// Brings the document in line with the workspace. Edits typed in the editor are sent as they
+// happen (sendLocalEdit); this catches everything else: new, deleted, renamed and restored
+// files, folders, uploads and project settings. Called on every save.
+function pushWorkspaceToDoc() {
+    if (!collab?.bound || applyingRemoteChanges) return;
+    const docFiles = collab.doc.getMap('files');
+    const docFolders = collab.doc.getMap('folders');
+    const docSettings = collab.doc.getMap('settings');
+
+    collab.doc.transact(() => {
+        Object.values(files).forEach(file => {
+            const value = docFiles.get(file.name);
+            if (file.binary) {
+                if (collab.pushedBlobs.get(file.name) !== file.blob) pushAsset(file);
+            } else if (!(value instanceof Y.Text)) {
+                docFiles.set(file.name, new Y.Text(file.content));
+            } else if (value.toString() !== file.content) {
+                replaceText(value, file.content);
+            }
+        });
+        [...docFiles.keys()].filter(name => !files[name]).forEach(name => docFiles.delete(name));
+
+        folders.filter(path => !docFolders.has(path)).forEach(path => docFolders.set(path, true));
+        [...docFolders.keys()].filter(path => !folders.includes(path)).forEach(path => docFolders.delete(path));
+
+        const settings = pickProjectSettings(appSettings);
+        PROJECT_SETTING_KEYS.forEach(key => {
+            if (JSON.stringify(docSettings.get(key)) !== JSON.stringify(settings[key])) docSettings.set(key, settings[key]);
+        });
+    });
+}
+
+async function pushAsset(file) {
+    const session = collab;
+    session.pushedBlobs.set(file.name, file.blob);
+    const data = new Uint8Array(await file.blob.arrayBuffer());
+    if (collab !== session || files[file.name]?.blob !== file.blob) return;
+    session.doc.getMap('files').set(file.name, { mime: file.mime, data });
 }
 
-// --- RENDERING UI ---
-function renderExplorer() {
-    const list = document.getElementById('file-list');
-    list.innerHTML = '';
-    
-    Object.values(files).forEach(file => {
-        const div = document.createElement('div');
-        div.className = `file-item ${activeFile === file.name ? 'active' : ''} group justify-between`;
-        div.onclick = () => switchFile(file.name);
-        
-        let icon = 'file';
-        let color = 'text-gray-400';
-        if (file.name.endsWith('.html')) { icon = 'file-code'; color = 'text-orange-500'; }
-        if (file.name.endsWith('.css')) { icon = 'file-type'; color = 'text-blue-400'; }
-        if (file.name.endsWith('.js')) { icon = 'file-json'; color = 'text-yellow-400'; }
+// Replaces only the part that differs, so concurrent edits elsewhere in the file survive
+function replaceText(text, content) {
+    const current = text.toString();
+    let start = 0;
+    while (start < current.length && current[start] === content[start]) start++;
+    let end = 0;
+    while (end < current.length - start && end < content.length - start && current[current.length - 1 - end] === content[content.length - 1 - end]) end++;
+    text.delete(start, current.length - start - end);
+    text.insert(start, content.slice(start, content.length - end));
+}
 
-        div.innerHTML = `
-            <div class="flex items-center">
-                <i data-lucide="${icon}" class="w-4 h-4 ${color} mr-2"></i>
-                <span class="truncate w-32">${file.name}</span>
-            </div>
-            <div class="flex items-center opacity-0 group-hover:opacity-100">
-                <button onclick="event.stopPropagation(); duplicateFile('${file.name}')" class="hover:text-blue-400 p-1" title="Duplicate">
-                    <i data-lucide="copy" class="w-3 h-3"></i>
-                </button>
-                <button onclick="event.stopPropagation(); renameFile('${file.name}')" class="hover:text-yellow-400 p-1" title="Rename">
-                    <i data-lucide="edit-3" class="w-3 h-3"></i>
-                </button>
-                ${file.name !== 'index.html' ? 
-                    `<button onclick="event.stopPropagation(); deleteFile('${file.name}')" class="hover:text-red-400 p-1" title="Delete">
-                        <i data-lucide="trash-2" class="w-3 h-3"></i>
-                    </button>` : ''}
-            </div>
-        `;
-        list.appendChild(div);
+// Called with the changes of a model edit typed (or pasted, formatted...) in the editor
+function sendLocalEdit(name, changes) {
+    const text = collab?.bound && collab.doc.getMap('files').get(name);
+    if (!text || !(text instanceof Y.Text)) return;
+    collab.doc.transact(() => {
+        // Offsets refer to the content before the edit: apply the last change first
+        [...changes].sort((a, b) => b.rangeOffset - a.rangeOffset).forEach(change => {
+            text.delete(change.rangeOffset, change.rangeLength);
+            text.insert(change.rangeOffset, change.text);
+        });
     });
-    lucide.createIcons();
 }
 
-function renderTabs() {
-    const list = document.getElementById('tab-list');
-    list.innerHTML = '';
-    
-    Object.values(files).forEach(file => {
-        const div = document.createElement('div');
-        div.className = `tab ${activeFile === file.name ? 'active' : ''}`;
-        div.onclick = () => switchFile(file.name);
-        
-        let icon = 'file';
-        let color = 'text-gray-400';
-        if (file.name.endsWith('.html')) { icon = 'file-code'; color = 'text-orange-500'; }
-        if (file.name.endsWith('.css')) { icon = 'file-type'; color = 'text-blue-400'; }
-        if (file.name.endsWith('.js')) { icon = 'file-json'; color = 'text-yellow-400'; }
+function applyRemoteFileChanges(events) {
+    if (!collab.bound) return;
+    const docFiles = collab.doc.getMap('files');
+    const replaced = new Set();
+    events.filter(event => event.target === docFiles).forEach(event => {
+        event.changes.keys.forEach((change, name) => {
+            replaced.add(name);
+            const file = docFiles.has(name) ? readDocFile(name, docFiles.get(name)) : null;
+            if (file) files[name] = file;
+            else delete files[name];
+        });
+    });
+    events.filter(event => event.target !== docFiles && !replaced.has(event.path[0])).forEach(applyRemoteTextEdit);
 
-        div.innerHTML = `
-            <i data-lucide="${icon}" class="w-3.5 h-3.5 ${color} mr-2"></i>
-            <span>${file.name}</span>
-        `;
-        list.appendChild(div);
+    if (replaced.size > 0) {
+        refreshEditorGroups();
+        replaced.forEach(name => schedulePreviewRun(name));
+    }
+}
+
+// Replays a Y.Text delta on the model: edits keep everyone's cursors and selections in place
+function applyRemoteTextEdit(event) {
+    const name = event.path[0];
+    const file = readDocFile(name, event.target);
+    if (!file) return;
+    if (!files[name]) files[name] = file;
+    const model = models[name];
+    if (!model) {
+        files[name].content = file.content;
+        return;
+    }
+
+    // Ranges refer to the content before the edit, which goes in as one step of the undo
+    // stack: Ctrl+Z afterwards undoes the latest change, ours or theirs, at the right offsets
+    const edits = [];
+    let index = 0;
+    const toRange = (start, end) => {
+        const from = model.getPositionAt(start);
+        const to = model.getPositionAt(end);
+        return new monaco.Range(from.lineNumber, from.column, to.lineNumber, to.column);
+    };
+    event.delta.forEach(op => {
+        if (op.retain) {
+            index += op.retain;
+        } else if (op.delete) {
+            edits.push({ range: toRange(index, index + op.delete), text: '' });
+            index += op.delete;
+        } else if (op.insert) {
+            edits.push({ range: toRange(index, index), text: op.insert });
+        }
     });
-    lucide.createIcons();
+    model.pushStackElement();
+    model.pushEditOperations([], edits, () => null);
+    model.pushStackElement();
 }
 
-// --- PREVIEW BUILDER ---
-function updatePreview() {
-    const htmlFile = files['index.html'] || Object.values(files).find(f => f.name.endsWith('.html'));
-    if (!htmlFile) return;
+function applyRemoteSettings() {
+    let settings;
+    try {
+        settings = validateProjectSettings(collab.doc.getMap('settings').toJSON());
+    } catch (e) {
+        return console.error(e);
+    }
+    Object.assign(appSettings, settings);
+    restoreSettingsInputs();
+    applyCssLintOptions();
+    scheduleLint();
+    saveProject();
+    updatePreview();
+}
 
-    // Collect all CSS and JS
-    let cssContent = '';
-    let jsContent = '';
-    
-    Object.values(files).forEach(f => {
-        if (f.name.endsWith('.css')) cssContent += f.content + '\n';
-        if (f.name.endsWith('.js')) jsContent += `
-            try {
-                ${f.content}
-            } catch(e) { console.error(e); }
-        \n`;
+function pullDocToWorkspace() {
+    const docFiles = readDocFiles();
+    Object.keys(files).filter(name => !docFiles[name]).forEach(name => delete files[name]);
+    Object.values(docFiles).forEach(file => {
+        if (files[file.name]?.content !== file.content || files[file.name]?.binary !== file.binary) files[file.name] = file;
     });
+    folders = readDocFolders();
+    refreshEditorGroups();
+    updatePreview();
+}
 
-    // CDNs
-    const cdnTags = appSettings.cdns.map(url => {
-        if (url.endsWith('.css')) return `<link rel="stylesheet" href="${url}">`;
-        return `<script src="${url}"><\/script>`;
-    }).join('\n');
+// --- PRESENCE ---
+function getLocalSelection() {
+    const model = editor?.getModel();
+    const text = model && collab.doc.getMap('files').get(getModelName(model));
+    const selection = editor?.getSelection();
+    if (!(text instanceof Y.Text) || !selection) return {};
 
-    const source = `
-    <!DOCTYPE html>
-    <html lang="en">
-    <head>
-        <meta charset="UTF-8">
-        <meta name="viewport" content="width=device-width, initial-scale=1.0">
-        ${cdnTags}
-        <style>
-            ${cssContent}
-        </style>
-        <script>
-            // Console Proxy
-            (function(){
-                const _log = console.log;
-                const _warn = console.warn;
-                const _error = console.error;
-                
-                console.log = function(...args) { 
-                    window.parent.postMessage({type:'console', level:'log', args}, '*'); 
-                    _log.apply(console, args);
-                };
-                console.warn = function(...args) { 
-                    window.parent.postMessage({type:'console', level:'warn', args}, '*'); 
-                    _warn.apply(console, args);
-                };
-                console.error = function(...args) { 
-                    window.parent.postMessage({type:'console', level:'error', args}, '*'); 
-                    _error.apply(console, args);
-                };
-            })();
-        <\/script>
-    </head>
-    <body>
-        ${htmlFile.content}
-        <script>
-            ${jsContent}
-        <\/script>
-    </body>
-    </html>
-    `;
+    const toRelative = (lineNumber, column) => Y.relativePositionToJSON(
+        Y.createRelativePositionFromTypeIndex(text, model.getOffsetAt({ lineNumber, column })));
+    return {
+        anchor: toRelative(selection.selectionStartLineNumber, selection.selectionStartColumn),
+        head: toRelative(selection.positionLineNumber, selection.positionColumn)
+    };
+}
 
-    document.getElementById('preview-frame').srcdoc = source;
+function sendPresence() {
+    if (!collab?.bound) return;
+    const id = collab.doc.clientID;
+    const presence = { id, name: appSettings.collabName.trim() || 'Guest', color: getCollabColor(id), file: activeFile, ...getLocalSelection() };
+    sendSyncMessage(SYNC_MESSAGES.presence, new TextEncoder().encode(JSON.stringify(presence)));
 }
 
-// --- UTILITIES ---
-function saveProject() {
-    localStorage.setItem('vscode-clone-project', JSON.stringify(files));
-    document.getElementById('save-indicator').style.opacity = 1;
-    setTimeout(() => document.getElementById('save-indicator').style.opacity = 0.5, 500);
+// Cursor moves and file switches
+function updatePresence() {
+    if (!collab?.bound) return;
+    sendPresence();
+    renderRemoteCursors();
 }
 
-function persistSettings() {
-    localStorage.setItem('vscode-clone-settings', JSON.stringify(appSettings));
-    updateStatusBar();
+function prunePeers() {
+    const now = Date.now();
+    [...collab.peers.values()].filter(peer => now - peer.seen > PRESENCE_TIMEOUT).forEach(peer => collab.peers.delete(peer.id));
+    renderRemoteCursors();
+    renderPresence();
+    renderCollabStatus();
 }
 
-function updateStatusBar() {
-    const wrapStatus = document.getElementById('wrap-status');
-    const fontStatus = document.getElementById('font-status');
-    if (wrapStatus) wrapStatus.innerText = `Wrap: ${appSettings.wordWrap ? 'On' : 'Off'}`;
-    if (fontStatus) fontStatus.innerText = `Font: ${appSettings.fontSize}px`;
+function getPeerColor(peer) {
+    return Number.isInteger(peer.color) ? Math.abs(peer.color) % COLLAB_COLOR_COUNT : 0;
 }
 
-// Split Pane
-function initSplitPane() {
-    Split(['#editor-pane', '#preview-pane'], {
-        sizes: [50, 50],
-        minSize: 100,
-        gutterSize: 8,
-        cursor: 'col-resize'
+function renderRemoteCursors() {
+    if (!window.monaco) return;
+    editorGroups.forEach(group => {
+        const model = group.editor?.getModel();
+        const text = model && collab?.bound ? collab.doc.getMap('files').get(getModelName(model)) : null;
+        const decorations = [];
+        if (text && text instanceof Y.Text) {
+            collab.peers.forEach(peer => {
+                if (peer.file !== getModelName(model) || !peer.head) return;
+                const toIndex = (json) => {
+                    try {
+                        return Y.createAbsolutePositionFromRelativePosition(Y.createRelativePositionFromJSON(json), collab.doc)?.index;
+                    } catch (e) {
+                        return undefined; // Malformed position
+                    }
+                };
+                const anchorIndex = toIndex(peer.anchor);
+                const headIndex = toIndex(peer.head);
+                if (anchorIndex === undefined || headIndex === undefined) return;
+
+                const color = `collab-color-${getPeerColor(peer)}`;
+                const head = model.getPositionAt(headIndex);
+                if (anchorIndex !== headIndex) {
+                    const start = model.getPositionAt(Math.min(anchorIndex, headIndex));
+                    const end = model.getPositionAt(Math.max(anchorIndex, headIndex));
+                    decorations.push({
+                        range: new monaco.Range(start.lineNumber, start.column, end.lineNumber, end.column),
+                        options: { className: `remote-selection ${color}` }
+                    });
+                }
+                decorations.push({
+                    range: new monaco.Range(head.lineNumber, head.column, head.lineNumber, head.column),
+                    options: { beforeContentClassName: `remote-cursor ${color}`, hoverMessage: { value: String(peer.name) }, stickiness: 1 }
+                });
+            });
+        }
+        group.remoteDecorations = group.editor?.deltaDecorations(group.remoteDecorations || [], decorations) || [];
     });
 }
 
-// Debounce
-let debounceTimer;
-function debouncedUpdatePreview() {
-    clearTimeout(debounceTimer);
-    debounceTimer = setTimeout(updatePreview, 1000);
+// Dots next to the files others have open; the explorer is only redrawn when they move
+function renderPresence() {
+    const signature = collab ? JSON.stringify([...collab.peers.values()].map(peer => [peer.id, peer.name, peer.file])) : '';
+    if (signature === presenceSignature) return;
+    presenceSignature = signature;
+    renderExplorer();
 }
 
-// Toast Notification
-function toast(msg, type = 'info') {
-    Toastify({
-        text: msg,
-        duration: 3000,
-        gravity: "bottom", 
-        position: "right", 
-        backgroundColor: type === 'error' ? "#ff5555" : "#007acc",
-    }).showToast();
+function getPresenceDots(name) {
+    if (!collab) return '';
+    return [...collab.peers.values()].filter(peer => peer.file === name)
+        .map(peer => `<span class="collab-dot collab-color-${getPeerColor(peer)}" title="${escapeHtml(peer.name)}"></span>`).join('');
 }
 
-// Console Handling
-window.addEventListener('message', (e) => {
-    if (e.data.type === 'console') {
-        const output = document.getElementById('console-output');
-        const line = document.createElement('div');
-        line.className = `log-entry ${e.data.level}`;
-        line.textContent = `> ${e.data.args.join(' ')}`;
-        output.appendChild(line);
-        output.scrollTop = output.scrollHeight;
-    }
-});
-
-function clearConsole() {
-    document.getElementById('console-output').innerHTML = '';
+function renderCollabStatus() {
+    const status = document.getElementById('collab-status');
+    status.classList.toggle('hidden', !collab);
+    if (!collab) return;
+    const count = collab.peers.size + 1;
+    document.getElementById('collab-count').innerText = collab.bound ? `${count} ${count === 1 ? 'participant' : 'participants'}` : 'Joining...';
+    status.title = [`${appSettings.collabName.trim() || 'Guest'} (you)`, ...[...collab.peers.values()].map(peer => peer.name)].join('\n');
 }
 
-function toggleConsole() {
-    const p = document.getElementById('console-panel');
-    p.classList.toggle('hidden');
-}
+window.addEventListener('pagehide', () => leaveCollaboration());
 
 // --- MODALS & FEATURES ---
 function toggleSidebar() {
@@ -393,33 +4594,54 @@ function openTemplateModal() { document.getElementById('templates-modal').classL
 function closeModals() { 
     document.getElementById('settings-modal').classList.add('hidden'); 
     document.getElementById('templates-modal').classList.add('hidden'); 
+    document.getElementById('projects-modal').classList.add('hidden'); 
+    document.getElementById('import-modal').classList.add('hidden'); 
+    closeKeybindingsEditor();
 }
 
 function saveSettings() {
     const theme = document.getElementById('theme-select').value;
-    const cdnText = document.getElementById('cdn-input').value;
+    const entry = document.getElementById('entry-input').value.trim();
+    const autoRunDelay = parseInt(document.getElementById('autorun-delay').value);
+    const lintRulesText = document.getElementById('lint-rules-input').value.trim();
+    const collabRelay = document.getElementById('collab-relay-input').value.trim();
+    if (collabRelay && !/^wss?:\/\//i.test(collabRelay)) return toast("The relay must be a ws:// or wss:// URL", "error");
+    let lintRules;
+    try {
+        lintRules = lintRulesText ? JSON.parse(lintRulesText) : {};
+        if (typeof lintRules !== 'object' || Array.isArray(lintRules)) throw new Error();
+    } catch (e) {
+        return toast('Lint rules must be a JSON object, e.g. { "no-unused-vars": "off" }', "error");
+    }
     
     appSettings.theme = theme;
-    appSettings.cdns = cdnText.split('\n').filter(l => l.trim().length > 0);
+    appSettings.entry = entry || defaultSettings.entry;
+    appSettings.autoRun = document.getElementById('autorun-select').value;
+    appSettings.autoRunDelay = autoRunDelay >= 0 ? autoRunDelay : defaultSettings.autoRunDelay;
+    appSettings.lint = {
+        enabled: document.getElementById('lint-enabled').checked,
+        rules: lintRules,
+        globals: document.getElementById('lint-globals-input').value.split(',').map(name => name.trim()).filter(Boolean)
+    };
+    lintErrorShown = '';
+    appSettings.collabName = document.getElementById('collab-name-input').value.trim();
+    appSettings.collabRelay = collabRelay;
     
     persistSettings();
-    monaco.editor.setTheme(theme);
+    if (window.monaco) monaco.editor.setTheme(theme); // Applies to every editor, including the history diff
+    applyCssLintOptions();
+    scheduleLint();
     updatePreview();
     closeModals();
     toast("Settings Saved");
 }
 
-function generateShareUrl() {
-    const str = JSON.stringify(files);
-    const compressed = LZString.compressToEncodedURIComponent(str);
-    window.location.hash = compressed;
-    navigator.clipboard.writeText(window.location.href);
-    toast("URL copied to clipboard!");
-}
-
 function downloadProject() {
     const zip = new JSZip();
-    Object.values(files).forEach(f => zip.file(f.name, f.content));
+    // Paths with slashes become zip subdirectories
+    folders.forEach(path => zip.folder(path));
+    Object.values(files).filter(f => f.name !== PROJECT_MANIFEST).forEach(f => zip.file(f.name, f.binary ? f.blob : f.content));
+    zip.file(PROJECT_MANIFEST, JSON.stringify({ settings: pickProjectSettings(appSettings) }, null, 2));
     zip.generateAsync({type:"blob"}).then(blob => {
         const link = document.createElement("a");
         link.href = URL.createObjectURL(blob);
@@ -428,57 +4650,69 @@ function downloadProject() {
     });
 }
 
-function loadTemplate(type) {
-    if (!confirm("This will overwrite your current work. Continue?")) return;
-    
-    if (type === 'vanilla') files = JSON.parse(JSON.stringify(DEFAULT_PROJECT));
+const TEMPLATE_NAMES = { vanilla: 'Vanilla JS', react: 'React App', three: 'Three.js Scene', tailwind: 'Tailwind Page' };
+
+// Templates always start a new project, so the current one is never overwritten
+async function loadTemplate(type) {
+    let projectFiles = JSON.parse(JSON.stringify(DEFAULT_PROJECT));
+    const settings = pickProjectSettings(defaultSettings);
     
     if (type === 'react') {
-        files = {
+        projectFiles = {
             'index.html': { name: 'index.html', language: 'html', content: '<div id="root"></div>' },
             'style.css': { name: 'style.css', language: 'css', content: 'body { font-family: sans-serif; padding: 20px; }' },
-            'script.js': { name: 'script.js', language: 'javascript', content: 'const root = ReactDOM.createRoot(document.getElementById("root"));\nroot.render(<h1>Hello React!</h1>);' }
+            'script.jsx': { name: 'script.jsx', language: 'javascript', content: 'const root = ReactDOM.createRoot(document.getElementById("root"));\nroot.render(<h1>Hello React!</h1>);' }
         };
-        appSettings.cdns = [
-            'https://unpkg.com/react@18/umd/react.development.js',
-            'https://unpkg.com/react-dom@18/umd/react-dom.development.js',
-            'https://unpkg.com/@babel/standalone/babel.min.js'
+        settings.dependencies = [
+            { name: 'react', version: '18.3.1', kind: 'script', path: 'umd/react.development.js' },
+            { name: 'react-dom', version: '18.3.1', kind: 'script', path: 'umd/react-dom.development.js' }
         ];
-        // Note: For Babel to work in preview, we might need <script type="text/babel">. 
-        // This simple implementation injects JS as normal script. 
-        // A full React implementation usually needs a bundler or specific iframe handling.
-        // We will stick to simple injection for now, React users might need to manually adjust types in this basic environment.
+        settings.entry = 'script.jsx';
     }
 
     if (type === 'tailwind') {
-        files = {
+        projectFiles = {
             'index.html': { name: 'index.html', language: 'html', content: '<div class="h-screen flex items-center justify-center bg-gray-900">\n  <h1 class="text-4xl font-bold text-blue-500">Hello Tailwind</h1>\n</div>' },
             'style.css': { name: 'style.css', language: 'css', content: '' },
             'script.js': { name: 'script.js', language: 'javascript', content: '' }
         };
-        appSettings.cdns = ['https://cdn.tailwindcss.com'];
+        settings.dependencies = [{ url: 'https://cdn.tailwindcss.com', kind: 'script' }];
     }
 
     if (type === 'three') {
-        files = {
+        projectFiles = {
             'index.html': { name: 'index.html', language: 'html', content: '<style>body { margin: 0; }</style>' },
             'style.css': { name: 'style.css', language: 'css', content: '' },
             'script.js': { name: 'script.js', language: 'javascript', content: 'const scene = new THREE.Scene();\nconst camera = new THREE.PerspectiveCamera(75, window.innerWidth / window.innerHeight, 0.1, 1000);\nconst renderer = new THREE.WebGLRenderer();\nrenderer.setSize(window.innerWidth, window.innerHeight);\ndocument.body.appendChild(renderer.domElement);\nconst geometry = new THREE.BoxGeometry();\nconst material = new THREE.MeshBasicMaterial({ color: 0x00ff00 });\nconst cube = new THREE.Mesh(geometry, material);\nscene.add(cube);\ncamera.position.z = 5;\nfunction animate() { requestAnimationFrame(animate); cube.rotation.x += 0.01; cube.rotation.y += 0.01; renderer.render(scene, camera); }\nanimate();' }
         };
-        appSettings.cdns = ['https://cdnjs.cloudflare.com/ajax/libs/three.js/r128/three.min.js'];
+        settings.dependencies = [{ name: 'three', version: '0.128.0', kind: 'script', path: 'build/three.min.js' }];
     }
 
-    closeModals();
-    saveProject();
-    saveSettings(); // To save CDNs
-    init(); // Reload
+    switchProject(await createProject(TEMPLATE_NAMES[type], { files: projectFiles, folders: [], settings }));
+}
+
+function registerTemplateCommands() {
+    Object.entries(TEMPLATE_NAMES).forEach(([type, name]) => registerCommand({
+        id: `template:${type}`,
+        label: `Project: New from Template: ${name}`,
+        hint: 'Start a new project from a template',
+        action: () => loadTemplate(type)
+    }));
+}
+
+function getExtension(name) {
+    return name.split('.').pop().toLowerCase();
 }
 
 function getLanguageForFile(name) {
-    const ext = name.split('.').pop().toLowerCase();
-    if (ext === 'js') return 'javascript';
+    const ext = getExtension(name);
+    if (ext === 'js' || ext === 'jsx') return 'javascript';
+    if (ext === 'ts' || ext === 'tsx') return 'typescript';
     if (ext === 'css') return 'css';
+    if (ext === 'scss' || ext === 'sass') return 'scss'; // Monaco has no indented-syntax mode
+    if (ext === 'less') return 'less';
     if (ext === 'html') return 'html';
+    if (ext === 'pug') return 'pug';
     if (ext === 'json') return 'json';
     if (ext === 'md') return 'markdown';
     return 'plaintext';
@@ -486,72 +4720,373 @@ function getLanguageForFile(name) {
 
 // --- COMMAND PALETTE ---
 const commandDefinitions = [
+    { id: 'view:command-palette', label: 'View: Show Command Palette', hint: 'Run any command', keybinding: 'Ctrl+Shift+P', action: () => openCommandPalette() },
+    { id: 'file:quick-open', label: 'File: Go to File...', hint: 'Open a file by name', keybinding: 'Ctrl+P', action: () => openCommandPalette('') },
+    { id: 'file:save', label: 'File: Save', hint: 'Save the project now', keybinding: 'Ctrl+S', action: () => saveNow() },
     { id: 'file:new', label: 'File: New File', hint: 'Create a new file', action: () => promptNewFile() },
-    { id: 'file:rename', label: 'File: Rename Active File', hint: 'Rename current file', action: () => renameFile(activeFile) },
-    { id: 'file:duplicate', label: 'File: Duplicate Active File', hint: 'Create a copy', action: () => duplicateFile(activeFile) },
+    { id: 'file:new-folder', label: 'File: New Folder', hint: 'Create a new folder', action: () => promptNewFolder() },
+    { id: 'file:rename', label: 'File: Rename Active File', hint: 'Rename current file', action: () => activeFile && renameFile(activeFile) },
+    { id: 'file:duplicate', label: 'File: Duplicate Active File', hint: 'Create a copy', action: () => activeFile && duplicateFile(activeFile) },
+    { id: 'view:close-editor', label: 'View: Close Editor', hint: 'Close the active tab', action: () => activeFile && closeTab(activeFile) },
+    { id: 'view:close-others', label: 'View: Close Other Editors', hint: 'Keep only the active tab', action: () => activeFile && closeOtherTabs(activeFile) },
+    { id: 'view:close-all', label: 'View: Close All Editors in Group', hint: 'Close every tab of the group', action: () => closeAllTabs() },
+    { id: 'view:split-editor', label: 'View: Split Editor', hint: 'Open the file in a new group to the right', keybinding: 'Ctrl+\\', action: () => splitEditor() },
+    { id: 'view:close-group', label: 'View: Close Editor Group', hint: 'Close the focused group', action: () => closeEditorGroup() },
+    { id: 'view:focus-next-group', label: 'View: Focus Next Editor Group', hint: 'Group to the right', action: () => focusAdjacentGroup(1) },
+    { id: 'view:focus-previous-group', label: 'View: Focus Previous Editor Group', hint: 'Group to the left', action: () => focusAdjacentGroup(-1) },
+    { id: 'view:move-to-next-group', label: 'View: Move Editor into Next Group', hint: 'Move the file to the right', action: () => moveEditorToAdjacentGroup(1) },
+    { id: 'view:move-to-previous-group', label: 'View: Move Editor into Previous Group', hint: 'Move the file to the left', action: () => moveEditorToAdjacentGroup(-1) },
     { id: 'view:toggle-sidebar', label: 'View: Toggle Sidebar', hint: 'Show/hide explorer', action: () => toggleSidebar() },
-    { id: 'view:toggle-console', label: 'View: Toggle Console', hint: 'Show/hide console', action: () => toggleConsole() },
+    { id: 'view:toggle-console', label: 'View: Toggle Console', hint: 'Show/hide console', keybinding: 'Ctrl+`', action: () => toggleConsole() },
     { id: 'editor:toggle-wrap', label: 'Editor: Toggle Word Wrap', hint: 'Wrap lines', action: () => toggleWordWrap() },
     { id: 'editor:toggle-minimap', label: 'Editor: Toggle Minimap', hint: 'Show/hide minimap', action: () => toggleMinimap() },
     { id: 'editor:font-increase', label: 'Editor: Increase Font Size', hint: 'Zoom in', action: () => adjustFontSize(1) },
     { id: 'editor:font-decrease', label: 'Editor: Decrease Font Size', hint: 'Zoom out', action: () => adjustFontSize(-1) },
     { id: 'editor:format', label: 'Editor: Format Document', hint: 'Format current file', action: () => formatDocument() },
+    { id: 'editor:go-to-line', label: 'Go to Line/Column...', hint: 'Jump to a line of the active file', keybinding: 'Ctrl+G', action: () => openCommandPalette(':') },
+    { id: 'editor:go-to-symbol', label: 'Go to Symbol in Editor...', hint: 'Functions, classes, selectors and headings', keybinding: 'Ctrl+Shift+O', action: () => openCommandPalette('@') },
     { id: 'editor:find', label: 'Editor: Find', hint: 'Search in file', action: () => editor?.trigger('keyboard', 'actions.find', null) },
     { id: 'editor:replace', label: 'Editor: Replace', hint: 'Search and replace', action: () => editor?.trigger('keyboard', 'editor.action.startFindReplaceAction', null) },
-    { id: 'run:preview', label: 'Run: Update Preview', hint: 'Refresh preview', action: () => updatePreview() },
-    { id: 'settings:open', label: 'Preferences: Open Settings', hint: 'Open settings modal', action: () => openSettingsModal() }
+    { id: 'search:find-in-files', label: 'Search: Find in Files', hint: 'Search the whole project', keybinding: 'Ctrl+Shift+F', action: () => openSearchView() },
+    { id: 'search:replace-in-files', label: 'Search: Replace in Files', hint: 'Replace across the project', keybinding: 'Ctrl+Shift+H', action: () => openSearchView(true) },
+    { id: 'run:preview', label: 'Run: Update Preview', hint: 'Refresh preview', keybinding: 'Ctrl+Enter', action: () => runPreview() },
+    { id: 'preview:responsive', label: 'Preview: Responsive Viewport', hint: 'Fill the preview pane', action: () => setDevicePreset('responsive') },
+    { id: 'preview:pop-out', label: 'Preview: Open in New Window', hint: 'Detached live preview', action: () => popOutPreview() },
+    { id: 'preview:rotate', label: 'Preview: Rotate Device', hint: 'Toggle portrait/landscape', action: () => rotateViewport() },
+    { id: 'file:import', label: 'File: Import Project Files', hint: 'Zip, folder or files', action: () => openImportModal() },
+    { id: 'history:open', label: 'History: Open Local History', hint: 'Snapshots, diff and restore', action: () => openHistoryPanel() },
+    { id: 'history:checkpoint', label: 'History: Create Checkpoint', hint: 'Save a named snapshot', action: () => createCheckpoint() },
+    { id: 'project:switch', label: 'Project: Switch Project', hint: 'Open the project manager', action: () => openProjectsModal() },
+    { id: 'project:new', label: 'Project: New Empty Project', hint: 'Start a blank project', action: () => newProject() },
+    { id: 'share:copy-link', label: 'Share: Copy Link', hint: 'Opens as a new project', action: () => generateShareUrl() },
+    { id: 'share:copy-embed', label: 'Share: Copy Embed Code', hint: 'Read-only editor and preview for docs and blogs', action: () => copyEmbedCode() },
+    { id: 'collab:start', label: 'Live Session: Start / Copy Invite Link', hint: 'Edit this project together in real time', action: () => startCollaboration() },
+    { id: 'collab:leave', label: 'Live Session: Leave', hint: 'Stop syncing with the other participants', action: () => leaveCollaboration() },
+    { id: 'settings:open', label: 'Preferences: Open Settings', hint: 'Open settings modal', action: () => openSettingsModal() },
+    { id: 'settings:keybindings', label: 'Preferences: Open Keyboard Shortcuts', hint: 'Change, import and export keybindings', action: () => openKeybindingsEditor() }
 ];
-let filteredCommands = [...commandDefinitions];
-let commandIndex = 0;
+// Extensions and templates add commands at runtime; the returned function removes the command again
+function registerCommand(command) {
+    if (!command?.id || !command.label || typeof command.action !== 'function') throw new Error('A command needs an id, a label and an action');
+    unregisterCommand(command.id);
+    commandDefinitions.push({ hint: '', ...command });
+    renderKeybindingHints();
+    return () => unregisterCommand(command.id);
+}
 
-function openCommandPalette() {
+function unregisterCommand(id) {
+    const index = commandDefinitions.findIndex(cmd => cmd.id === id);
+    if (index < 0) return;
+    commandDefinitions.splice(index, 1);
+    renderKeybindingHints();
+}
+
+registerTemplateCommands();
+
+// Like VS Code, the first character picks what the palette lists: files without a prefix,
+// commands after '>', a line after ':' and symbols of the active file after '@'
+const PALETTE_MODES = {
+    '': { placeholder: 'Search files by name (> commands, : go to line, @ go to symbol)', getItems: getFileItems },
+    '>': { placeholder: 'Type a command...', getItems: getCommandItems },
+    ':': { placeholder: 'Type a line number, optionally followed by :column', getItems: getLineItems },
+    '@': { placeholder: 'Type to filter the symbols of the active file', getItems: getSymbolItems }
+};
+const MAX_RECENT_COMMANDS = 20;
+const MAX_RECENT_FILES = 50;
+let recentCommands = JSON.parse(localStorage.getItem('vscode-clone-recent-commands')) || [];
+let recentFiles = []; // Most recently shown first, for this session only
+let paletteItems = [];
+let paletteIndex = 0;
+let paletteRequest = 0; // Symbols load asynchronously; only the latest query may render
+let paletteSymbols = null; // { model, version, symbols } of the last '@' lookup
+
+function openCommandPalette(prefix = '>') {
+    if (embedMode) return;
     const modal = document.getElementById('command-modal');
     const input = document.getElementById('command-input');
     modal.classList.remove('hidden');
-    input.value = '';
-    filteredCommands = [...commandDefinitions];
-    commandIndex = 0;
-    renderCommandList();
+    input.value = prefix;
+    updateCommandPalette();
     setTimeout(() => input.focus(), 0);
 }
 
 function closeCommandPalette() {
     document.getElementById('command-modal').classList.add('hidden');
+    paletteRequest++;
+}
+
+function getPaletteQuery(value) {
+    const prefix = PALETTE_MODES[value[0]] ? value[0] : '';
+    return { prefix, query: value.slice(prefix.length).trim() };
+}
+
+async function updateCommandPalette() {
+    const { prefix, query } = getPaletteQuery(document.getElementById('command-input').value);
+    const mode = PALETTE_MODES[prefix];
+    const request = ++paletteRequest;
+    document.getElementById('command-input').placeholder = mode.placeholder;
+
+    let items;
+    try {
+        items = await mode.getItems(query);
+    } catch (e) {
+        items = [{ label: `Could not load items: ${e.message}` }];
+    }
+    if (request !== paletteRequest) return;
+    paletteItems = items;
+    paletteIndex = Math.max(0, paletteItems.findIndex(item => item.run));
+    renderCommandList();
+}
+
+// Characters of `query` in order within `text`, ignoring case and spaces. Runs of consecutive
+// characters and word starts ("tww" -> Toggle Word Wrap) score higher. null if it does not match.
+function fuzzyMatch(query, text) {
+    const needle = query.toLowerCase().replace(/\s+/g, '');
+    const haystack = text.toLowerCase();
+    const indices = [];
+    let score = 0;
+    let from = 0;
+    for (const char of needle) {
+        let index = haystack.indexOf(char, from);
+        if (index < 0) return null;
+        // Rather than a hit in the middle of a word, take the next word starting with the character
+        if (index !== indices[indices.length - 1] + 1 && !isWordStart(text, index)) {
+            for (let next = haystack.indexOf(char, index + 1); next >= 0; next = haystack.indexOf(char, next + 1)) {
+                if (isWordStart(text, next)) {
+                    index = next;
+                    break;
+                }
+            }
+        }
+        score += 1;
+        if (index === indices[indices.length - 1] + 1) score += 5;
+        if (isWordStart(text, index)) score += 8;
+        indices.push(index);
+        from = index + 1;
+    }
+    if (haystack.startsWith(needle)) score += 10;
+    return { score: score - (indices[indices.length - 1] - indices[0]) * 0.1, indices };
+}
+
+function isWordStart(text, index) {
+    if (index === 0) return true;
+    const previous = text[index - 1];
+    return /[\s:/\\._\-()[\]#@]/.test(previous) || (/[a-z]/.test(previous) && /[A-Z]/.test(text[index]));
+}
+
+function highlightMatches(text, indices = []) {
+    const matched = new Set(indices);
+    let html = '';
+    for (let i = 0; i < text.length; i++) {
+        const char = escapeHtml(text[i]);
+        html += matched.has(i) ? `<span class="palette-match">${char}</span>` : char;
+    }
+    return html;
+}
+
+// Keeps the items whose `match(query)` succeeds, best score first and recently used first on ties (or without a query)
+function rankPaletteItems(items, query, recent) {
+    const recency = (item) => {
+        const index = recent.indexOf(item.key);
+        return index < 0 ? Infinity : index;
+    };
+    const ranked = items
+        .map((item, order) => ({ item, order, match: query ? item.match(query) : { score: 0 } }))
+        .filter(({ match }) => match);
+    ranked.sort((a, b) => (b.match.score - a.match.score) || (recency(a.item) - recency(b.item)) || (a.order - b.order));
+    return ranked.map(({ item, match }) => ({ ...item, ...match, recent: recency(item) !== Infinity }));
+}
+
+function getCommandItems(query) {
+    const items = commandDefinitions.map(cmd => ({
+        key: cmd.id,
+        label: cmd.label,
+        hint: cmd.hint,
+        keybinding: getKeybinding(cmd),
+        match: (text) => {
+            const match = fuzzyMatch(text, cmd.label);
+            return match && { score: match.score, labelMatches: match.indices };
+        },
+        run: () => {
+            recentCommands = [cmd.id, ...recentCommands.filter(id => id !== cmd.id)].slice(0, MAX_RECENT_COMMANDS);
+            localStorage.setItem('vscode-clone-recent-commands', JSON.stringify(recentCommands));
+            cmd.action();
+        }
+    }));
+    const ranked = rankPaletteItems(items, query, recentCommands);
+    return ranked.length ? ranked : [{ label: 'No matching commands' }];
+}
+
+function rememberRecentFile(name) {
+    recentFiles = [name, ...recentFiles.filter(file => file !== name)].slice(0, MAX_RECENT_FILES);
+}
+
+// Matches the whole path, but a match within the file name counts for more
+function getFileItems(query) {
+    const items = Object.keys(files).sort().map(name => {
+        const dir = getDirname(name);
+        const offset = dir ? dir.length + 1 : 0;
+        return {
+            key: name,
+            label: getBasename(name),
+            detail: dir,
+            icon: getFileIcon(name),
+            match: (text) => {
+                const inName = fuzzyMatch(text, getBasename(name));
+                if (inName) return { score: inName.score + 10, labelMatches: inName.indices };
+                const inPath = fuzzyMatch(text, name);
+                return inPath && {
+                    score: inPath.score,
+                    labelMatches: inPath.indices.filter(i => i >= offset).map(i => i - offset),
+                    detailMatches: inPath.indices.filter(i => i < offset)
+                };
+            },
+            run: () => switchFile(name)
+        };
+    });
+    const ranked = rankPaletteItems(items, query, recentFiles);
+    return ranked.length ? ranked : [{ label: 'No matching files' }];
+}
+
+function getLineItems(query) {
+    const model = editor?.getModel();
+    if (!model) return [{ label: 'Open a text file to go to a line' }];
+    const lineCount = model.getLineCount();
+    const match = /^(\d+)(?:[:,](\d+))?$/.exec(query);
+    if (!match) return [{ label: `Current line: ${editor.getPosition()?.lineNumber ?? 1}. Type a line number between 1 and ${lineCount} to navigate to.` }];
+
+    const name = getModelName(model);
+    const line = Math.min(Math.max(Number(match[1]), 1), lineCount);
+    const column = match[2] ? Math.max(Number(match[2]), 1) : 1;
+    return [{
+        label: match[2] ? `Go to line ${line}, column ${column}` : `Go to line ${line}`,
+        detail: name,
+        run: () => revealSourceLocation({ name, line, column })
+    }];
+}
+
+// Regex outlines for languages without a symbol provider; the first group is the symbol
+const OUTLINE_PATTERNS = {
+    css: [{ kind: 'rule', pattern: /^[ \t]*([^\s{};/][^{};]*?)\s*\{/gm }],
+    html: [
+        { kind: 'id', pattern: /\bid\s*=\s*["']([^"']+)["']/g, format: (id) => `#${id}` },
+        { kind: 'heading', pattern: /<h[1-6][^>]*>([^<]+)</gi }
+    ],
+    markdown: [{ kind: 'heading', pattern: /^#{1,6}[ \t]+(.+?)[ \t#]*$/gm }],
+    pug: [{ kind: 'id', pattern: /^[ \t]*[\w-]*(#[\w-]+)/gm }]
+};
+OUTLINE_PATTERNS.scss = OUTLINE_PATTERNS.css;
+OUTLINE_PATTERNS.less = OUTLINE_PATTERNS.css;
+
+// { name, kind, container, offset } for every symbol of the model, in document order
+async function getModelSymbols(model) {
+    const language = model.getLanguageId();
+    if (language === 'javascript' || language === 'typescript') {
+        const getWorker = language === 'typescript' ? monaco.languages.typescript.getTypeScriptWorker : monaco.languages.typescript.getJavaScriptWorker;
+        const worker = await (await getWorker())(model.uri);
+        const tree = await worker.getNavigationTree(model.uri.toString());
+        const symbols = [];
+        const visit = (node, container) => (node.childItems || []).forEach(child => {
+            // Anonymous functions ("<function>") and imports are not worth listing, their children are
+            if (!child.text.startsWith('<') && child.kind !== 'alias') {
+                symbols.push({ name: child.text, kind: child.kind, container, offset: (child.nameSpan || child.spans[0]).start });
+            }
+            visit(child, child.text.startsWith('<') ? container : child.text);
+        });
+        visit(tree, '');
+        return symbols;
+    }
+
+    const content = model.getValue();
+    return (OUTLINE_PATTERNS[language] || []).flatMap(({ kind, pattern, format = (text) => text }) => [...content.matchAll(pattern)].map(match => ({
+        name: format(match[1].replace(/\s+/g, ' ').trim()),
+        kind,
+        container: '',
+        offset: match.index + match[0].indexOf(match[1])
+    }))).sort((a, b) => a.offset - b.offset);
+}
+
+async function getSymbolItems(query) {
+    const model = editor?.getModel();
+    if (!model) return [{ label: 'Open a text file to go to a symbol' }];
+    const version = model.getAlternativeVersionId();
+    if (paletteSymbols?.model !== model || paletteSymbols.version !== version) {
+        paletteSymbols = { model, version, symbols: await getModelSymbols(model) };
+    }
+
+    const name = getModelName(model);
+    const items = paletteSymbols.symbols.map(symbol => {
+        const { lineNumber, column } = model.getPositionAt(symbol.offset);
+        return {
+            key: symbol.name,
+            label: symbol.name,
+            detail: symbol.container || symbol.kind,
+            hint: `Ln ${lineNumber}`,
+            match: (text) => {
+                const match = fuzzyMatch(text, symbol.name);
+                return match && { score: match.score, labelMatches: match.indices };
+            },
+            run: () => revealSourceLocation({ name, line: lineNumber, column })
+        };
+    });
+    const ranked = rankPaletteItems(items, query, []);
+    if (ranked.length) return ranked;
+    return [{ label: items.length ? 'No matching symbols' : `No symbols found in ${getBasename(name)}` }];
 }
 
+// Items without `run` are messages ("No matching files") and cannot be picked
 function renderCommandList() {
     const list = document.getElementById('command-list');
     list.innerHTML = '';
-    if (filteredCommands.length === 0) {
-        list.innerHTML = '<div class="px-4 py-3 text-xs text-gray-500">No matching commands</div>';
-        return;
-    }
-    filteredCommands.forEach((cmd, index) => {
-        const item = document.createElement('div');
-        item.className = `command-item ${index === commandIndex ? 'active' : ''}`;
-        item.innerHTML = `<div>${cmd.label}</div><span>${cmd.hint}</span>`;
-        item.onclick = () => runCommand(index);
-        list.appendChild(item);
+    paletteItems.forEach((item, index) => {
+        const element = document.createElement('div');
+        element.className = `command-item ${index === paletteIndex && item.run ? 'active' : ''} ${item.run ? '' : 'command-message'}`;
+        element.innerHTML = `
+            <div class="flex items-center min-w-0">
+                ${item.icon ? `<i data-lucide="${item.icon.icon}" class="w-4 h-4 mr-2 shrink-0 ${item.icon.color}"></i>` : ''}
+                <span class="truncate">${highlightMatches(item.label, item.labelMatches)}</span>
+                ${item.detail ? `<span class="command-detail truncate">${highlightMatches(item.detail, item.detailMatches)}</span>` : ''}
+            </div>
+            <div class="command-hint">${item.recent ? 'recently used' : escapeHtml(item.hint || '')}${item.keybinding ? `<kbd class="keybinding ml-2">${escapeHtml(item.keybinding)}</kbd>` : ''}</div>
+        `;
+        if (item.run) element.onclick = () => runCommand(index);
+        list.appendChild(element);
     });
+    if (paletteItems.some(item => item.icon)) lucide.createIcons();
+    list.children[paletteIndex]?.scrollIntoView({ block: 'nearest' });
+}
+
+function moveCommandSelection(step) {
+    const selectable = paletteItems.map((item, index) => item.run ? index : -1).filter(index => index >= 0);
+    if (!selectable.length) return;
+    const position = Math.min(Math.max(selectable.indexOf(paletteIndex) + step, 0), selectable.length - 1);
+    paletteIndex = selectable[position];
+    renderCommandList();
 }
 
 function runCommand(index) {
-    const cmd = filteredCommands[index];
-    if (!cmd) return;
+    const item = paletteItems[index];
+    if (!item?.run) return;
     closeCommandPalette();
-    cmd.action();
+    item.run();
+}
+
+function saveNow() {
+    saveProject();
+    if (appSettings.autoRun === 'save') runPendingChanges();
+    toast("Saved successfully");
 }
 
 function toggleWordWrap() {
     appSettings.wordWrap = !appSettings.wordWrap;
-    editor?.updateOptions({ wordWrap: appSettings.wordWrap ? 'on' : 'off' });
+    updateEditorOptions({ wordWrap: appSettings.wordWrap ? 'on' : 'off' });
     persistSettings();
     toast(`Word wrap ${appSettings.wordWrap ? 'enabled' : 'disabled'}`);
 }
 
 function toggleMinimap() {
     appSettings.minimap = !appSettings.minimap;
-    editor?.updateOptions({ minimap: { enabled: appSettings.minimap } });
+    updateEditorOptions({ minimap: { enabled: appSettings.minimap } });
     persistSettings();
     toast(`Minimap ${appSettings.minimap ? 'enabled' : 'disabled'}`);
 }
@@ -559,7 +5094,7 @@ function toggleMinimap() {
 function adjustFontSize(delta) {
     const nextSize = Math.min(24, Math.max(10, appSettings.fontSize + delta));
     appSettings.fontSize = nextSize;
-    editor?.updateOptions({ fontSize: appSettings.fontSize });
+    updateEditorOptions({ fontSize: appSettings.fontSize });
     persistSettings();
 }
 
@@ -570,14 +5105,224 @@ function formatDocument() {
     }
 }
 
-document.addEventListener('keydown', (event) => {
-    const isPaletteOpen = !document.getElementById('command-modal').classList.contains('hidden');
-    if ((event.ctrlKey || event.metaKey) && event.shiftKey && event.code === 'KeyP') {
-        event.preventDefault();
-        openCommandPalette();
+// --- KEYBINDINGS ---
+// Any command can take a chord ("Ctrl+Shift+K"; Ctrl also matches Cmd). Defaults come from
+// `keybinding` in commandDefinitions, user overrides from appSettings.keybindings
+// ({ commandId: chord }, '' unbinds). Chords are dispatched before Monaco sees the key.
+const KEY_NAMES = {
+    Backquote: '`', Minus: '-', Equal: '=', BracketLeft: '[', BracketRight: ']', Backslash: '\\', Semicolon: ';', Quote: "'",
+    Comma: ',', Period: '.', Slash: '/', ArrowUp: 'Up', ArrowDown: 'Down', ArrowLeft: 'Left', ArrowRight: 'Right', Space: 'Space',
+    Enter: 'Enter', Escape: 'Escape', Tab: 'Tab', Backspace: 'Backspace', Delete: 'Delete', Insert: 'Insert', Home: 'Home', End: 'End',
+    PageUp: 'PageUp', PageDown: 'PageDown'
+};
+const MODIFIER_ALIASES = { ctrl: 'Ctrl', cmd: 'Ctrl', meta: 'Ctrl', shift: 'Shift', alt: 'Alt', option: 'Alt' };
+let recordingCommand = null; // Id of the command the shortcuts editor records a chord for
+
+function getKeyName(code) {
+    if (/^Key[A-Z]$/.test(code)) return code.slice(3);
+    if (/^Digit\d$/.test(code)) return code.slice(5);
+    if (/^F([1-9]|1[0-2])$/.test(code)) return code;
+    return KEY_NAMES[code] || null;
+}
+
+// null for lone modifiers and keys we have no name for
+function getEventChord(event) {
+    const key = getKeyName(event.code);
+    if (!key) return null;
+    return [(event.ctrlKey || event.metaKey) && 'Ctrl', event.shiftKey && 'Shift', event.altKey && 'Alt', key].filter(Boolean).join('+');
+}
+
+// "shift+cmd+k" -> "Ctrl+Shift+K". Plain keys would get in the way of typing, so a chord
+// needs Ctrl or Alt unless it is a function key; anything else gives null.
+function normalizeChord(text) {
+    if (typeof text !== 'string') return null;
+    const parts = text.split('+').map(part => part.trim());
+    const keyText = parts.pop();
+    const key = /^[a-z0-9]$/i.test(keyText) ? keyText.toUpperCase()
+        : [...Object.values(KEY_NAMES), ...Array.from({ length: 12 }, (_, i) => `F${i + 1}`)].find(name => name.toLowerCase() === keyText.toLowerCase());
+    const modifiers = new Set(parts.map(part => MODIFIER_ALIASES[part.toLowerCase()]));
+    if (!key || modifiers.has(undefined)) return null;
+    if (!modifiers.has('Ctrl') && !modifiers.has('Alt') && !/^F\d+$/.test(key)) return null;
+    return [...['Ctrl', 'Shift', 'Alt'].filter(modifier => modifiers.has(modifier)), key].join('+');
+}
+
+function getKeybinding(command) {
+    return appSettings.keybindings[command.id] ?? command.keybinding ?? '';
+}
+
+function getCommandsByChord() {
+    const byChord = new Map();
+    commandDefinitions.forEach(command => {
+        const chord = getKeybinding(command);
+        if (chord) byChord.set(chord, [...(byChord.get(chord) || []), command]);
+    });
+    return byChord;
+}
+
+// Capture-phase keydown: runs before Monaco and the palette's own keys
+function handleKeybinding(event) {
+    if (recordingCommand) return recordKeybinding(event);
+    if (!document.getElementById('command-modal').classList.contains('hidden')) return;
+    const chord = getEventChord(event);
+    const command = chord && commandDefinitions.find(cmd => getKeybinding(cmd) === chord);
+    // Embeds are read-only: running the preview is all they allow
+    if (!command || (embedMode && command.id !== 'run:preview')) return;
+
+    event.preventDefault();
+    event.stopPropagation();
+    command.action();
+}
+
+function setKeybinding(id, chord) {
+    const command = commandDefinitions.find(cmd => cmd.id === id);
+    const keybindings = { ...appSettings.keybindings };
+    if (chord === (command?.keybinding ?? '')) delete keybindings[id];
+    else keybindings[id] = chord;
+    appSettings.keybindings = keybindings;
+    persistSettings();
+    renderKeybindingHints();
+    renderKeybindingList();
+}
+
+function resetKeybinding(id) {
+    const keybindings = { ...appSettings.keybindings };
+    delete keybindings[id];
+    appSettings.keybindings = keybindings;
+    persistSettings();
+    renderKeybindingHints();
+    renderKeybindingList();
+}
+
+// Titles ("Run (Ctrl+Enter)") and labels of controls that run a command
+function renderKeybindingHints() {
+    const getChord = (id) => {
+        const command = commandDefinitions.find(cmd => cmd.id === id);
+        return command ? getKeybinding(command) : '';
+    };
+    document.querySelectorAll('[data-command]').forEach(element => {
+        element.dataset.title ??= element.title;
+        const chord = getChord(element.dataset.command);
+        element.title = chord ? `${element.dataset.title} (${chord})` : element.dataset.title;
+    });
+    document.querySelectorAll('[data-keybinding]').forEach(element => element.innerText = getChord(element.dataset.keybinding));
+}
+
+// --- SHORTCUTS EDITOR ---
+function openKeybindingsEditor() {
+    closeModals();
+    closeCommandPalette();
+    document.getElementById('keybindings-modal').classList.remove('hidden');
+    document.getElementById('keybinding-search').value = '';
+    renderKeybindingList();
+    setTimeout(() => document.getElementById('keybinding-search').focus(), 0);
+}
+
+function closeKeybindingsEditor() {
+    recordingCommand = null;
+    document.getElementById('keybindings-modal').classList.add('hidden');
+}
+
+function renderKeybindingList() {
+    const list = document.getElementById('keybinding-list');
+    if (document.getElementById('keybindings-modal').classList.contains('hidden')) return;
+    const query = document.getElementById('keybinding-search').value.trim().toLowerCase();
+    const byChord = getCommandsByChord();
+    const commands = commandDefinitions.filter(cmd => [cmd.label, cmd.id, getKeybinding(cmd)].some(text => text.toLowerCase().includes(query)));
+    if (commands.length === 0) {
+        list.innerHTML = `<div class="px-4 py-3 text-xs text-gray-500">No matching commands</div>`;
         return;
     }
-    if (!isPaletteOpen) return;
+
+    list.innerHTML = commands.map(cmd => {
+        const chord = getKeybinding(cmd);
+        const others = (byChord.get(chord) || []).filter(other => other !== cmd);
+        const recording = recordingCommand === cmd.id;
+        return `
+            <div class="flex items-center px-4 py-1.5 hover:bg-[#2a2d2e] group">
+                <div class="flex-1 min-w-0">
+                    <div class="text-sm text-white truncate">${escapeHtml(cmd.label)}</div>
+                    <div class="text-[10px] truncate ${others.length ? 'text-red-400' : 'text-gray-500'}">
+                        ${escapeHtml(cmd.id)}${others.length ? ` · also bound to ${escapeHtml(others.map(other => other.label).join(', '))}` : ''}
+                    </div>
+                </div>
+                <button onclick="toggleKeybindingRecording(${handlerArg(cmd.id)})" class="keybinding ml-2 ${others.length ? 'conflict' : ''} ${recording ? 'recording' : ''}" title="Change Keybinding">
+                    ${recording ? 'Press a chord...' : chord ? escapeHtml(chord) : '—'}
+                </button>
+                <div class="flex items-center w-12 justify-end opacity-0 group-hover:opacity-100">
+                    ${cmd.id in appSettings.keybindings ? `<button onclick="resetKeybinding(${handlerArg(cmd.id)})" class="hover:text-white p-1" title="Reset to Default"><i data-lucide="rotate-ccw" class="w-3 h-3"></i></button>` : ''}
+                    ${chord ? `<button onclick="setKeybinding(${handlerArg(cmd.id)}, '')" class="hover:text-red-400 p-1" title="Remove Keybinding"><i data-lucide="x" class="w-3 h-3"></i></button>` : ''}
+                </div>
+            </div>
+        `;
+    }).join('');
+    lucide.createIcons();
+}
+
+function toggleKeybindingRecording(id) {
+    recordingCommand = recordingCommand === id ? null : id;
+    renderKeybindingList();
+}
+
+function recordKeybinding(event) {
+    event.preventDefault();
+    event.stopPropagation();
+    if (event.code === 'Escape' && !event.ctrlKey && !event.metaKey && !event.altKey && !event.shiftKey) {
+        recordingCommand = null;
+        return renderKeybindingList();
+    }
+    const pressed = getEventChord(event);
+    if (!pressed) return; // Still holding modifiers
+    const chord = normalizeChord(pressed);
+    if (!chord) return toast("Shortcuts need Ctrl or Alt, or a function key", "error");
+
+    const id = recordingCommand;
+    recordingCommand = null;
+    setKeybinding(id, chord);
+    const others = (getCommandsByChord().get(chord) || []).filter(cmd => cmd.id !== id);
+    if (others.length) toast(`${chord} is also bound to ${others.map(cmd => cmd.label).join(', ')}`, "error");
+}
+
+function exportKeybindings() {
+    const blob = new Blob([JSON.stringify(appSettings.keybindings, null, 2)], { type: 'application/json' });
+    const link = document.createElement("a");
+    link.href = URL.createObjectURL(blob);
+    link.download = "keybindings.json";
+    link.click();
+}
+
+// Replaces the user keybindings with a file written by exportKeybindings() (or by hand)
+async function importKeybindings(fileList) {
+    const file = fileList[0];
+    document.getElementById('keybindings-import-input').value = '';
+    if (!file) return;
+
+    let imported;
+    try {
+        imported = JSON.parse(await file.text());
+        if (!imported || typeof imported !== 'object' || Array.isArray(imported)) throw new Error();
+    } catch (e) {
+        return toast('Keybindings must be a JSON object, e.g. { "run:preview": "Ctrl+R" }', "error");
+    }
+    const keybindings = {};
+    const invalid = [];
+    Object.entries(imported).forEach(([id, chord]) => {
+        const normalized = chord === '' ? '' : normalizeChord(chord);
+        if (normalized === null) invalid.push(id);
+        else keybindings[id] = normalized;
+    });
+    if (invalid.length) return toast(`Invalid keybindings for ${invalid.join(', ')}`, "error");
+
+    appSettings.keybindings = keybindings;
+    persistSettings();
+    renderKeybindingHints();
+    renderKeybindingList();
+    toast(`Imported ${Object.keys(keybindings).length} keybinding(s)`);
+}
+
+document.addEventListener('keydown', handleKeybinding, true);
+
+document.addEventListener('keydown', (event) => {
+    if (document.getElementById('command-modal').classList.contains('hidden')) return;
 
     if (event.key === 'Escape') {
         event.preventDefault();
@@ -585,26 +5330,19 @@ document.addEventListener('keydown', (event) => {
     }
     if (event.key === 'ArrowDown') {
         event.preventDefault();
-        commandIndex = Math.min(filteredCommands.length - 1, commandIndex + 1);
-        renderCommandList();
+        moveCommandSelection(1);
     }
     if (event.key === 'ArrowUp') {
         event.preventDefault();
-        commandIndex = Math.max(0, commandIndex - 1);
-        renderCommandList();
+        moveCommandSelection(-1);
     }
     if (event.key === 'Enter') {
         event.preventDefault();
-        runCommand(commandIndex);
+        runCommand(paletteIndex);
     }
 });
 
-document.getElementById('command-input').addEventListener('input', (event) => {
-    const query = event.target.value.toLowerCase();
-    filteredCommands = commandDefinitions.filter(cmd => cmd.label.toLowerCase().includes(query));
-    commandIndex = 0;
-    renderCommandList();
-});
+document.getElementById('command-input').addEventListener('input', updateCommandPalette);
 
 document.getElementById('command-modal').addEventListener('click', (event) => {
     if (event.target.id === 'command-modal') {
@@ -612,5 +5350,18 @@ document.getElementById('command-modal').addEventListener('click', (event) => {
     }
 });
 
+// Dropping on empty explorer space moves to the project root
+makeDropTarget(document.getElementById('file-list'), '');
+
+// Files dropped anywhere else are imported at the root instead of navigating the page away
+document.addEventListener('dragover', (e) => {
+    if (isFileDrop(e)) e.preventDefault();
+});
+document.addEventListener('drop', (e) => {
+    if (!isFileDrop(e)) return;
+    e.preventDefault();
+    importDataTransfer(e.dataTransfer);
+});
+
 // --- BOOT ---
 init();
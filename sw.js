@@ -0,0 +1,152 @@
+// Offline support: the app shell and every library it loads are served from a cache,
+// so the editor keeps working without a network once it has been opened online.
+// Bump the version whenever the lists below or the unversioned libraries should be refetched.
+const CACHE_NAME = 'live-editor-v1';
+
+const APP_SHELL = [
+    './',
+    'index.html',
+    'style.css',
+    'script.js',
+    'preview.html',
+    'manifest.webmanifest',
+    'icon.svg'
+];
+
+const MONACO_BASE = 'https://cdnjs.cloudflare.com/ajax/libs/monaco-editor/0.45.0/min/vs';
+const RUNTIME = [
+    'https://cdn.tailwindcss.com',
+    'https://unpkg.com/lucide@latest',
+    'https://cdnjs.cloudflare.com/ajax/libs/jszip/3.10.1/jszip.min.js',
+    'https://cdnjs.cloudflare.com/ajax/libs/split.js/1.6.0/split.min.js',
+    'https://cdnjs.cloudflare.com/ajax/libs/lz-string/1.4.4/lz-string.min.js',
+    'https://cdn.jsdelivr.net/npm/toastify-js/src/toastify.min.css',
+    'https://cdn.jsdelivr.net/npm/toastify-js',
+    `${MONACO_BASE}/loader.min.js`,
+    `${MONACO_BASE}/editor/editor.main.js`,
+    `${MONACO_BASE}/editor/editor.main.css`,
+    `${MONACO_BASE}/editor/editor.main.nls.js`,
+    `${MONACO_BASE}/base/worker/workerMain.js`,
+    `${MONACO_BASE}/language/typescript/tsMode.js`,
+    `${MONACO_BASE}/language/typescript/tsWorker.js`,
+    `${MONACO_BASE}/language/css/cssMode.js`,
+    `${MONACO_BASE}/language/css/cssWorker.js`,
+    `${MONACO_BASE}/language/html/htmlMode.js`,
+    `${MONACO_BASE}/language/html/htmlWorker.js`,
+    `${MONACO_BASE}/language/json/jsonMode.js`,
+    `${MONACO_BASE}/language/json/jsonWorker.js`,
+    `${MONACO_BASE}/basic-languages/markdown/markdown.js`,
+    `${MONACO_BASE}/basic-languages/scss/scss.js`,
+    `${MONACO_BASE}/basic-languages/less/less.js`,
+    `${MONACO_BASE}/basic-languages/pug/pug.js`
+];
+
+// Answers that change between requests: try the network first, fall back to the last answer
+const LIVE_HOSTS = ['registry.npmjs.org', 'data.jsdelivr.com'];
+
+// Nested imports of esm.sh modules ("/react@18.3.1/es2022/react.mjs")
+const MODULE_IMPORT_PATTERN = /(?:\bfrom|\bimport)\s*\(?\s*["'](\/[^"']+)["']/g;
+const MAX_MODULE_DEPTH = 8;
+
+self.addEventListener('install', (event) => {
+    event.waitUntil((async () => {
+        const cache = await caches.open(CACHE_NAME);
+        await cache.addAll(APP_SHELL);
+        // CDN files are best effort: one unreachable host must not block the install
+        await Promise.allSettled(RUNTIME.map(url => cacheUrl(cache, url)));
+        await self.skipWaiting();
+    })());
+});
+
+self.addEventListener('activate', (event) => {
+    event.waitUntil((async () => {
+        const names = await caches.keys();
+        await Promise.all(names.filter(name => name !== CACHE_NAME).map(name => caches.delete(name)));
+        await self.clients.claim();
+    })());
+});
+
+self.addEventListener('fetch', (event) => {
+    const { request } = event;
+    if (request.method !== 'GET' || !request.url.startsWith('http')) return;
+    const url = new URL(request.url);
+
+    if (request.mode === 'navigate') return event.respondWith(networkFirst(request, 'index.html'));
+    if (LIVE_HOSTS.includes(url.hostname)) return event.respondWith(networkFirst(request));
+    // The app's own files may change between deploys, CDN files are versioned
+    if (url.origin === self.location.origin) return event.respondWith(staleWhileRevalidate(request));
+    event.respondWith(cacheFirst(request));
+});
+
+// The preview frame is sandboxed (opaque origin), so its requests never reach this worker;
+// the editor sends the project's dependency URLs instead
+self.addEventListener('message', (event) => {
+    if (event.data?.type !== 'cache-urls') return;
+    event.waitUntil((async () => {
+        const cache = await caches.open(CACHE_NAME);
+        await Promise.allSettled(event.data.urls.map(url => cacheUrl(cache, url, true)));
+    })());
+});
+
+function isCacheable(response) {
+    // Opaque responses come from <script> tags without CORS and can't be inspected
+    return response.ok || response.type === 'opaque';
+}
+
+async function cacheFirst(request) {
+    const cached = await caches.match(request);
+    if (cached) return cached;
+    const response = await fetch(request);
+    if (isCacheable(response)) {
+        const cache = await caches.open(CACHE_NAME);
+        cache.put(request, response.clone());
+    }
+    return response;
+}
+
+async function networkFirst(request, fallback) {
+    try {
+        const response = await fetch(request);
+        if (response.ok) {
+            const cache = await caches.open(CACHE_NAME);
+            cache.put(request, response.clone());
+        }
+        return response;
+    } catch (e) {
+        // Navigations carry the share link in the hash, which is never part of the request
+        const cached = await caches.match(request, { ignoreSearch: !!fallback }) || (fallback && await caches.match(fallback));
+        if (cached) return cached;
+        throw e;
+    }
+}
+
+async function staleWhileRevalidate(request) {
+    const cache = await caches.open(CACHE_NAME);
+    const cached = await cache.match(request);
+    const update = fetch(request).then(response => {
+        if (response.ok) cache.put(request, response.clone());
+        return response;
+    });
+    if (!cached) return update;
+    update.catch(() => {}); // Offline: the cached copy is all there is
+    return cached;
+}
+
+// Fetches `url` into the cache unless it is already there. With `followImports`, JavaScript
+// modules are scanned for absolute imports on the same host, which esm.sh uses for the actual build.
+// A cached module had its imports cached along with it, so it is not scanned again.
+async function cacheUrl(cache, url, followImports = false, depth = 0, seen = new Set()) {
+    if (seen.has(url)) return;
+    seen.add(url);
+
+    if (await cache.match(url)) return;
+    const response = await fetch(url, { mode: 'cors' }).catch(() => fetch(url, { mode: 'no-cors' }));
+    if (!isCacheable(response)) return;
+    await cache.put(url, response.clone());
+    if (!followImports || depth >= MAX_MODULE_DEPTH || response.type === 'opaque') return;
+    if (!/javascript/.test(response.headers.get('content-type') || '')) return;
+
+    const code = await response.text();
+    const imports = [...code.matchAll(MODULE_IMPORT_PATTERN)].map(match => new URL(match[1], url).href);
+    await Promise.allSettled(imports.map(next => cacheUrl(cache, next, true, depth + 1, seen)));
+}